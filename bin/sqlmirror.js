@@ -1,4 +1,7 @@
 #!/usr/bin/env node
 import { sqlMirrorCli } from "../lib/index.js";
 
-sqlMirrorCli().catch(console.error);
+sqlMirrorCli().catch((err) => {
+  console.error(`error: ${err.message}`);
+  process.exitCode = 1;
+});
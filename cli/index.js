@@ -1,32 +1,343 @@
 import { Command } from "commander";
+import fs from "node:fs/promises";
 import path from "node:path";
 import SQLMirrorMigrator from "../lib/SQLMirrorMigrator.js";
+import loadConfig, { CONFIG_FILENAMES } from "./loadConfig.js";
+import { DIAGRAM_FORMATS } from "../lib/generateDiagram.js";
 
-export default async function sqlMirrorCli() {
-  const { default: config } = await import(path.resolve("sqlmirror.config.js"));
-  const { databaseURL, migrationsDir } = config;
-  const migrator = new SQLMirrorMigrator(databaseURL, migrationsDir);
-
+export default async function sqlMirrorCli(argv = process.argv) {
   const program = new Command();
 
-  program.command("up").action(async () => {
-    await migrator.up();
+  program
+    .name("sqlmirror")
+    .option("-c, --config <path>", "path of the sql-mirror config file")
+    .option("-e, --env <name>", "environment of the config to use")
+    .enablePositionalOptions();
+
+  // The config is only loaded by the commands using the database or migrations
+  let migrator;
+  let lintConfig;
+  program.hook("preAction", async (thisCommand, actionCommand) => {
+    if (actionCommand.name() === "init") {
+      return;
+    }
+
+    const { config: configPath, env } = program.opts();
+    const {
+      databaseURL,
+      migrationsDir,
+      seedsDir,
+      lockKey,
+      lockTimeout,
+      driver,
+      schema,
+      migrationSchema,
+      versioning,
+      lint,
+    } = await loadConfig({ configPath, env });
+    lintConfig = lint;
+
+    migrator = new SQLMirrorMigrator(databaseURL, migrationsDir, {
+      lockKey,
+      lockTimeout,
+      driver,
+      seedsDirPath: seedsDir,
+      schema,
+      migrationSchema,
+      versioning,
+    });
   });
 
-  program.command("down").action(async () => {
-    await migrator.down();
+  program
+    .command("init")
+    .description("create a sql-mirror config and the migrations directory")
+    .option("--force", "overwrite an existing config")
+    .action(async ({ force }) => {
+      const configPath = path.resolve(
+        program.opts().config || CONFIG_FILENAMES[0]
+      );
+      const migrationsDir = path.join(path.dirname(configPath), "migrations");
+
+      if (!force && (await existsFile(configPath))) {
+        throw new Error(
+          `${configPath} already exists, pass --force to overwrite it`
+        );
+      }
+
+      await fs.writeFile(configPath, getInitialConfig(configPath));
+      await fs.mkdir(migrationsDir, { recursive: true });
+      console.log(`created\t${path.relative(process.cwd(), configPath)}`);
+      console.log(`created\t${path.relative(process.cwd(), migrationsDir)}/`);
+    });
+
+  program
+    .command("up")
+    .option("--ignore-checksum", "apply even if applied migrations were edited")
+    .option(
+      "--allow-out-of-order",
+      "also apply pending migrations older than the last applied one"
+    )
+    .option("--to <version>", "apply pending migrations up to this version")
+    .option("--dry-run", "print the SQL to apply without running it")
+    .action(async ({ ignoreChecksum, allowOutOfOrder, to, dryRun }) => {
+      const plan = await migrator.up({
+        ignoreChecksum,
+        allowOutOfOrder,
+        to,
+        dryRun,
+      });
+      if (dryRun) {
+        printPlan(plan);
+      }
+    });
+
+  program
+    .command("down")
+    .option("--to <version>", "revert migrations applied after this version")
+    .option("--steps <n>", "revert the last n applied migrations", (value) =>
+      parseInt(value, 10)
+    )
+    .option("--all", "revert all applied migrations")
+    .option("--dry-run", "print the SQL to revert without running it")
+    .action(async ({ to, steps, all, dryRun }) => {
+      const plan = await migrator.down({ to, steps, all, dryRun });
+      if (dryRun) {
+        printPlan(plan);
+      }
+    });
+
+  program
+    .command("baseline")
+    .requiredOption(
+      "--version <version>",
+      "record migrations up to this version as applied"
+    )
+    .action(async ({ version }) => {
+      const baselineFiles = await migrator.baseline({ version });
+      for (const filename of baselineFiles) {
+        console.log(`baseline\t${filename}`);
+      }
+    });
+
+  program
+    .command("squash")
+    .requiredOption(
+      "--to <version>",
+      "fold the migrations up to this version into one"
+    )
+    .option("-n, --name <migrationName>", "name of the squash migration")
+    .action(async ({ to, name }) => {
+      const { removed, created } = await migrator.squash({ to, name });
+      for (const filename of removed) {
+        console.log(`removed\t${filename}`);
+      }
+      for (const filename of created) {
+        console.log(`created\t${filename}`);
+      }
+    });
+
+  program.command("build").action(async () => {
+    const builtFiles = await migrator.build();
+    for (const filename of builtFiles) {
+      console.log(`built\t${filename}`);
+    }
+  });
+
+  program.command("check").action(async () => {
+    const staleFiles = await migrator.check();
+    for (const filename of staleFiles) {
+      console.log(`stale\t${filename}`);
+    }
+    if (staleFiles.length > 0) {
+      process.exitCode = 1;
+    }
   });
 
+  program
+    .command("plan")
+    .option("--ignore-checksum", "plan even if applied migrations were edited")
+    .option(
+      "--allow-out-of-order",
+      "also plan pending migrations older than the last applied one"
+    )
+    .option("--to <version>", "plan pending migrations up to this version")
+    .action(async ({ ignoreChecksum, allowOutOfOrder, to }) => {
+      printPlan(await migrator.plan({ ignoreChecksum, allowOutOfOrder, to }));
+    });
+
+  program.command("status").action(async () => {
+    const migrationsStatus = await migrator.status();
+
+    for (const migration of migrationsStatus) {
+      const checksumWarning = migration.checksumMismatch
+        ? " (edited since applied)"
+        : "";
+      const baselineNote = migration.baseline ? " (baseline)" : "";
+      const outOfOrderWarning = migration.outOfOrder
+        ? " (older than the last applied)"
+        : "";
+      console.log(
+        `${migration.version ?? "R"}\t${migration.state}\t${
+          migration.filename
+        }${baselineNote}${outOfOrderWarning}${checksumWarning}`
+      );
+    }
+  });
+
+  program
+    .command("pull")
+    .option("-o, --output <file>", "write the config module to a file")
+    .option("--schema <schema>", "database schema to read", "public")
+    .action(async ({ output, schema }) => {
+      const sqlConfigModule = await migrator.pull({ schema });
+      if (output) {
+        await fs.writeFile(output, sqlConfigModule);
+      } else {
+        console.log(sqlConfigModule);
+      }
+    });
+
+  program
+    .command("seed")
+    .option(
+      "--seed-env <env>",
+      "also run the seeds of this environment, defaults to --env"
+    )
+    .option("--force", "run seeds again even if unchanged")
+    .action(async ({ seedEnv, force }) => {
+      const executedSeeds = await migrator.seed({
+        env: seedEnv ?? program.opts().env,
+        force,
+      });
+      for (const filename of executedSeeds) {
+        console.log(`seeded\t${filename}`);
+      }
+    });
+
+  program
+    .command("types")
+    .option(
+      "-o, --output <file>",
+      "write the TypeScript declarations to a file"
+    )
+    .option("--zod <file>", "also write zod row schemas to a file")
+    .action(async ({ output, zod }) => {
+      const { types, schemas } = await migrator.types();
+      if (output) {
+        await fs.writeFile(output, types);
+      } else {
+        console.log(types);
+      }
+      if (zod) {
+        await fs.writeFile(zod, schemas);
+      }
+    });
+
+  program
+    .command("diagram")
+    .option(
+      "-f, --format <format>",
+      `diagram format: ${DIAGRAM_FORMATS.join(", ")}`,
+      "mermaid"
+    )
+    .option("-o, --output <file>", "write the diagram to a file")
+    .action(async ({ format, output }) => {
+      const diagram = await migrator.diagram({ format });
+      if (output) {
+        await fs.writeFile(output, diagram);
+      } else {
+        console.log(diagram);
+      }
+    });
+
+  program
+    .command("lint")
+    .option("--since <version>", "only lint migrations after this version")
+    .action(async ({ since }) => {
+      const problems = await migrator.lint({ ...lintConfig, since });
+
+      for (const problem of problems) {
+        const location = [
+          `${problem.file}${problem.line ? `:${problem.line}` : ""}`,
+          problem.table &&
+            `${problem.table}${problem.column ? `.${problem.column}` : ""}`,
+        ]
+          .filter((part) => part)
+          .join(" ");
+        console.log(
+          `${location}\t${problem.severity}\t${problem.message} (${problem.rule})`
+        );
+      }
+
+      const errorCount = problems.filter(
+        (problem) => problem.severity === "error"
+      ).length;
+      console.log(
+        `${problems.length} problems (${errorCount} errors, ${
+          problems.length - errorCount
+        } warnings)`
+      );
+      if (errorCount > 0) {
+        process.exitCode = 1;
+      }
+    });
+
   program
     .command("create")
     .requiredOption("-n, --name <migrationName>", "add migration name")
-    .action(async ({ name }) => {
-      await migrator.createNextMigrationFiles(name);
+    .option("--timestamp", "version the migration with the current UTC time")
+    .action(async ({ name, timestamp }) => {
+      await migrator.createNextMigrationFiles(
+        name,
+        timestamp ? { versioning: "timestamp" } : {}
+      );
     });
 
-  program.parseAsync();
+  await program.parseAsync(argv);
+}
 
-  process.on("uncaughtException", (err) => {
-    console.error(err);
-  });
+function printPlan(plan) {
+  if (plan.length === 0) {
+    console.log("-- Nothing to run");
+    return;
+  }
+
+  for (const { filename, sql } of plan) {
+    console.log(`-- ${filename}\n${sql}\n`);
+  }
+}
+
+async function existsFile(filepath) {
+  try {
+    await fs.access(filepath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function getInitialConfig(configPath) {
+  const config = {
+    databaseURL: "${DATABASE_URL}",
+    migrationsDir: "./migrations",
+    environments: {
+      test: { databaseURL: "${TEST_DATABASE_URL}" },
+    },
+  };
+
+  if (path.extname(configPath) === ".json") {
+    return `${JSON.stringify(config, null, 2)}\n`;
+  }
+
+  const exportStatement =
+    path.extname(configPath) === ".cjs" ? "module.exports =" : "export default";
+  return `// \${VAR} and \${VAR:-default} are read from the environment
+${exportStatement} {
+  databaseURL: "\${DATABASE_URL}",
+  migrationsDir: "./migrations",
+  environments: {
+    test: { databaseURL: "\${TEST_DATABASE_URL}" },
+  },
+};
+`;
 }
@@ -0,0 +1,144 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+export const CONFIG_FILENAMES = [
+  "sqlmirror.config.js",
+  "sqlmirror.config.mjs",
+  "sqlmirror.config.cjs",
+  "sqlmirror.config.json",
+];
+
+// The config at configPath or the first sqlmirror.config.* of the current
+// directory, with the entry of environments named env merged over it and
+// ${VAR} and ${VAR:-default} replaced by environment variables
+export default async function loadConfig({ configPath, env } = {}) {
+  const filepath = configPath
+    ? path.resolve(configPath)
+    : await findConfigFile(process.cwd());
+
+  const { environments = {}, ...baseConfig } = await importConfigFile(filepath);
+
+  let config = baseConfig;
+  if (env) {
+    if (!Object.hasOwn(environments, env)) {
+      const envNames = Object.keys(environments);
+      throw new Error(
+        `Unknown environment "${env}" in ${path.basename(filepath)}${
+          envNames.length > 0
+            ? `, expected one of: ${envNames.join(", ")}`
+            : ", it declares no environments"
+        }`
+      );
+    }
+    config = { ...baseConfig, ...environments[env] };
+  }
+
+  // databaseURL is only resolved by the commands connecting, the others run
+  // without its variables
+  const { databaseURL, ...settings } = config;
+  config = {
+    ...interpolateEnvVars(settings, { filepath }),
+    databaseURL: () =>
+      interpolateEnvVars(databaseURL, { filepath, key: "databaseURL" }),
+  };
+
+  // Directories are relative to the config file
+  const configDir = path.dirname(filepath);
+  return {
+    ...config,
+    migrationsDir: path.resolve(
+      configDir,
+      config.migrationsDir || "migrations"
+    ),
+    seedsDir: config.seedsDir && path.resolve(configDir, config.seedsDir),
+  };
+}
+
+async function findConfigFile(dirPath) {
+  for (const filename of CONFIG_FILENAMES) {
+    const filepath = path.join(dirPath, filename);
+    try {
+      await fs.access(filepath);
+      return filepath;
+    } catch (err) {
+      continue;
+    }
+  }
+
+  throw new Error(
+    `No sql-mirror config found in ${dirPath}, run "sqlmirror init" or pass --config <path>`
+  );
+}
+
+async function importConfigFile(filepath) {
+  const ext = path.extname(filepath);
+
+  let fileContent;
+  try {
+    fileContent = await fs.readFile(filepath, "utf8");
+  } catch (err) {
+    throw new Error(
+      `Cannot read sql-mirror config ${filepath}: ${err.message}`
+    );
+  }
+
+  if (ext === ".json") {
+    try {
+      return JSON.parse(fileContent);
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${filepath}: ${err.message}`);
+    }
+  }
+
+  if (![".js", ".mjs", ".cjs"].includes(ext)) {
+    throw new Error(
+      `Unsupported sql-mirror config ${filepath}, expected a .js, .mjs, .cjs or .json file`
+    );
+  }
+
+  // CommonJS module.exports comes through as the default export
+  const configModule = await import(pathToFileURL(filepath).href);
+  return configModule.default;
+}
+
+function interpolateEnvVars(value, { filepath, key = "config" }) {
+  if (typeof value === "string") {
+    return value.replace(
+      /\$\{(\w+)(?::-([^}]*))?\}/g,
+      (match, varName, defaultValue) => {
+        const varValue = process.env[varName];
+        if (varValue !== undefined && varValue !== "") {
+          return varValue;
+        }
+        if (defaultValue !== undefined) {
+          return defaultValue;
+        }
+
+        throw new Error(
+          `Environment variable ${varName} used by ${key} in ${path.basename(
+            filepath
+          )} is not set`
+        );
+      }
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, i) =>
+      interpolateEnvVars(item, { filepath, key: `${key}[${i}]` })
+    );
+  }
+
+  // Drivers and other instances are left as they are
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([entryKey, entryValue]) => [
+        entryKey,
+        interpolateEnvVars(entryValue, { filepath, key: entryKey }),
+      ])
+    );
+  }
+
+  return value;
+}
@@ -1,2 +1,26 @@
-export { default as generateSqlFileContent } from "./lib/generateSqlFileContent.js";
+export {
+  default as generateSqlFileContent,
+  generateRepeatableSqlFileContent,
+} from "./lib/generateSqlFileContent.js";
+export { default as generateTypes } from "./lib/generateTypes.js";
+export {
+  default as generateDiagram,
+  DIAGRAM_FORMATS,
+} from "./lib/generateDiagram.js";
+export { default as foldSqlConfigs } from "./lib/foldSqlConfigs.js";
+export {
+  default as validateSqlConfig,
+  sqlConfigSchema,
+} from "./lib/validateSqlConfig.js";
+export {
+  default as lintMigrations,
+  LINT_RULES,
+  LINT_SEVERITIES,
+} from "./lib/lintMigrations.js";
 export { default as sql } from "./lib/sql.js";
+export { default as SQLMirrorMigrator } from "./lib/SQLMirrorMigrator.js";
+export {
+  createSlonikDriver,
+  createPgDriver,
+  createPgliteDriver,
+} from "./lib/drivers/index.js";
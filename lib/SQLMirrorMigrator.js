@@ -1,31 +1,28 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import crypto from "node:crypto";
-import sqlMirror from "./sql.js";
-import { createSqlTag, createPool } from "slonik";
+import { setTimeout as sleep } from "node:timers/promises";
+import sqlMirror, { qualifyName, quoteQualifiedName } from "./sql.js";
 import semver from "semver";
 import { snakeCase } from "snake-case";
-import { z } from "zod";
-import generateSqlFileContent from "./generateSqlFileContent.js";
-
-const sql = createSqlTag({
-  typeAliases: {
-    void: z.object({}).strict(),
-    exists: z.object({
-      exists: z.boolean(),
-    }),
-    sqlmirror_migration: z
-      .object({
-        sqlmirror_migration_id: z.number(),
-        name: z.string(),
-        version: z.string(),
-        filename: z.string(),
-        checksum: z.string(),
-        created_at: z.date(),
-      })
-      .strict(),
-  },
-});
+import generateSqlFileContent, {
+  generateRepeatableSqlFileContent,
+  sortTablesByReferences,
+} from "./generateSqlFileContent.js";
+import generateSeedSql from "./generateSeedSql.js";
+import validateSqlConfig from "./validateSqlConfig.js";
+import generateTypes from "./generateTypes.js";
+import generateDiagram from "./generateDiagram.js";
+import lintMigrations from "./lintMigrations.js";
+import foldSqlConfigs from "./foldSqlConfigs.js";
+import qualifySqlConfig from "./qualifySqlConfig.js";
+import parseMigrationDirectives, {
+  formatMigrationDirectives,
+} from "./parseMigrationDirectives.js";
+import splitSqlStatements from "./splitSqlStatements.js";
+import pullSqlConfig from "./pullSqlConfig.js";
+import renderSqlConfigModule from "./renderSqlConfigModule.js";
+import createDriver from "./drivers/index.js";
 
 async function existsFile(filepath) {
   let exists = false;
@@ -56,6 +53,17 @@ const MIGRATION_TYPE_SUFFIX = [
     suffix: "",
     ext: ".js",
   },
+  // Repeatable migrations have no version, e.g. R__report_views.sql
+  {
+    type: "repeatable",
+    suffix: "R",
+    ext: ".sql",
+  },
+  {
+    type: "repeatableConfig",
+    suffix: "R",
+    ext: ".js",
+  },
 ];
 
 // MigrationTableState
@@ -65,15 +73,138 @@ const MIGRATION_TABLE_STATE = {
   migration_applied: "migration_applied",
 };
 
+const DEFAULT_LOCK_KEY = 720497351;
+const LOCK_RETRY_INTERVAL = 500;
+
+const SEED_EXTENSIONS = [".sql", ".js"];
+
+const VERSIONING_SCHEMES = ["semver", "timestamp"];
+
+const MIGRATION_STATE = {
+  applied: "applied",
+  pending: "pending",
+  missing: "missing",
+};
+
 export default class SQLMirrorMigrator {
   #tableName = "sqlmirror_migration";
   #tableColumnId = "sqlmirror_migration_id";
   #migrationDirPath = "./migrations";
-  #databaseURL;
-
-  constructor(databaseURL, migrationDirPath) {
-    this.#databaseURL = databaseURL;
+  #seedTableName = "sqlmirror_seed";
+  #seedsDirPath;
+  #driver;
+  #connectionDepth = 0;
+  #lockKey = DEFAULT_LOCK_KEY;
+  #lockTimeout = 60000;
+  #schema;
+  #migrationSchema;
+  #versioning = "semver";
+
+  constructor(
+    databaseURL,
+    migrationDirPath,
+    {
+      lockKey,
+      lockTimeout,
+      driver = "slonik",
+      seedsDirPath,
+      schema,
+      migrationSchema,
+      versioning,
+    } = {}
+  ) {
+    this.#driver =
+      typeof driver === "string" ? createDriver(driver, databaseURL) : driver;
     this.#migrationDirPath = migrationDirPath || this.#migrationDirPath;
+    this.#seedsDirPath =
+      seedsDirPath || path.join(path.dirname(this.#migrationDirPath), "seeds");
+    this.#lockKey = lockKey ?? this.#lockKey;
+    this.#lockTimeout = lockTimeout ?? this.#lockTimeout;
+    this.#schema = schema;
+    this.#migrationSchema = migrationSchema;
+    this.#versioning = versioning ?? this.#versioning;
+  }
+
+  // Bookkeeping tables live in migrationSchema, or in the current schema
+  #quoteTableName(tableName) {
+    return quoteQualifiedName(qualifyName(this.#migrationSchema, tableName));
+  }
+
+  // One connection is shared by everything a public method runs
+  async #withConnection(fn) {
+    if (this.#connectionDepth === 0) {
+      await this.#driver.connect();
+    }
+    this.#connectionDepth++;
+
+    try {
+      return await fn();
+    } finally {
+      this.#connectionDepth--;
+      if (this.#connectionDepth === 0) {
+        await this.#driver.close();
+      }
+    }
+  }
+
+  // Hold a session-level advisory lock on the connection while fn runs
+  async #withMigrationLock(fn) {
+    await this.#acquireMigrationLock();
+
+    let result;
+    try {
+      result = await fn();
+    } catch (err) {
+      // A failed unlock, like on a broken connection, must not hide why the
+      // migration failed, the lock goes with the session anyway
+      await this.#releaseMigrationLock().catch(() => {});
+      throw err;
+    }
+
+    await this.#releaseMigrationLock();
+    return result;
+  }
+
+  async #releaseMigrationLock() {
+    await this.#driver.query("SELECT pg_advisory_unlock($1)", [this.#lockKey]);
+  }
+
+  async #acquireMigrationLock() {
+    const startedAt = Date.now();
+
+    for (;;) {
+      const lockResult = await this.#driver.query(
+        "SELECT pg_try_advisory_lock($1) AS locked",
+        [this.#lockKey]
+      );
+
+      if (lockResult.rows[0].locked) {
+        return;
+      }
+
+      if (Date.now() - startedAt >= this.#lockTimeout) {
+        const holderResult = await this.#driver.query(
+          `
+            SELECT pid
+            FROM pg_locks
+            WHERE locktype = 'advisory'
+              AND granted
+              AND ((classid::bigint << 32) | objid::bigint) = $1
+            LIMIT 1;
+          `,
+          [this.#lockKey]
+        );
+        const holderPid = holderResult.rows[0]?.pid;
+
+        throw new Error(
+          `Migration lock ${this.#lockKey} is held by another process${
+            holderPid ? ` (pid ${holderPid})` : ""
+          }, gave up after waiting ${this.#lockTimeout}ms`
+        );
+      }
+
+      await sleep(LOCK_RETRY_INTERVAL);
+    }
   }
 
   async #createMigrationTable() {
@@ -86,12 +217,14 @@ export default class SQLMirrorMigrator {
 
     const tableConfig = {
       name: this.#tableName,
+      schema: this.#migrationSchema,
       columns: [
         "sqlmirror_migration_id SERIAL PRIMARY KEY",
-        "version VARCHAR(255) UNIQUE NOT NULL",
-        "name VARCHAR(255) UNIQUE NOT NULL",
+        "version VARCHAR(255) UNIQUE",
+        "name VARCHAR(255) NOT NULL",
         "filename VARCHAR(255) UNIQUE NOT NULL",
         "checksum TEXT NOT NULL",
+        "baseline BOOLEAN NOT NULL DEFAULT false",
       ],
       options: {
         disableId: true,
@@ -103,13 +236,60 @@ export default class SQLMirrorMigrator {
       tables: [tableConfig],
     }).up;
 
-    const pool = await this.#createDbPool();
-    await pool.query({ sql: sqlUp });
-    await pool.end();
+    await this.#driver.query(sqlUp);
   }
 
-  async #createDbPool() {
-    return createPool(this.#databaseURL);
+  // Migration tables created before baselines and repeatable migrations lack
+  // the baseline column, require a version and a unique name, which repeatable
+  // migrations share with versioned ones
+  async #upgradeMigrationTable() {
+    const columnsResult = await this.#driver.query(
+      `
+        SELECT column_name, is_nullable
+        FROM information_schema.columns
+        WHERE table_name = $1
+          AND table_schema = COALESCE($2::text, current_schema());
+      `,
+      [this.#tableName, this.#migrationSchema ?? null]
+    );
+    const columns = columnsResult.rows;
+    const quotedTableName = this.#quoteTableName(this.#tableName);
+
+    if (!columns.some((column) => column.column_name === "baseline")) {
+      await this.#driver.query(
+        `ALTER TABLE ${quotedTableName} ADD COLUMN baseline BOOLEAN NOT NULL DEFAULT false;`
+      );
+    }
+
+    const versionColumn = columns.find(
+      (column) => column.column_name === "version"
+    );
+    if (versionColumn?.is_nullable === "NO") {
+      await this.#driver.query(
+        `ALTER TABLE ${quotedTableName} ALTER COLUMN version DROP NOT NULL;`
+      );
+    }
+
+    const nameConstraintsResult = await this.#driver.query(
+      `
+        SELECT table_constraints.constraint_name
+        FROM information_schema.table_constraints
+        JOIN information_schema.constraint_column_usage
+          USING (constraint_schema, constraint_name)
+        WHERE table_constraints.table_name = $1
+          AND table_constraints.table_schema = COALESCE($2::text, current_schema())
+          AND table_constraints.constraint_type = 'UNIQUE'
+          AND constraint_column_usage.column_name = 'name';
+      `,
+      [this.#tableName, this.#migrationSchema ?? null]
+    );
+    for (const { constraint_name } of nameConstraintsResult.rows) {
+      await this.#driver.query(
+        `ALTER TABLE ${quotedTableName} DROP CONSTRAINT ${quoteIdentifier(
+          constraint_name
+        )};`
+      );
+    }
   }
 
   #migrationFilenameSerialize({ type, version, migrationName }) {
@@ -123,12 +303,16 @@ export default class SQLMirrorMigrator {
       throw new Error(`Invalid migration type: ${type}`);
     }
 
+    const fileMigrationName = snakeCase(migrationName);
+
+    if (isRepeatableType(type)) {
+      return `${migrationTypeSuffix}__${fileMigrationName}${migrationType.ext}`;
+    }
+
     if (!semver.valid(version)) {
       throw new Error(`Invalid version: ${version}`);
     }
 
-    const fileMigrationName = snakeCase(migrationName);
-
     return `${version}${migrationTypeSuffix}__${fileMigrationName}${migrationType.ext}`;
   }
 
@@ -140,23 +324,29 @@ export default class SQLMirrorMigrator {
       fullVersion,
       fullVersion.length - 1
     );
+    const ext = parsedFilename.ext;
     const migrationType = MIGRATION_TYPE_SUFFIX.find(
-      (suffix) => suffix.suffix === suffixType
+      (suffix) => suffix.suffix === suffixType && suffix.ext === ext
     )?.type;
 
     if (!migrationType) {
       throw new Error(`Invalid migration type suffix: ${suffixType}`);
     }
 
-    if (!semver.valid(version)) {
+    if (isRepeatableType(migrationType)) {
+      if (version !== "") {
+        throw new Error(
+          `Invalid repeatable migration ${filename}, expected R__<name>${ext}`
+        );
+      }
+    } else if (!semver.valid(version)) {
       throw new Error(`Invalid version: ${version}`);
     }
 
-    const ext = parsedFilename.ext;
     const migrationName = migrationNameWithExt.split(".")[0];
     return {
       type: migrationType,
-      version,
+      version: version || null,
       migrationName,
       ext,
       filename,
@@ -164,36 +354,36 @@ export default class SQLMirrorMigrator {
   }
 
   async #getMigrationTableStateFromDb() {
-    const pool = await this.#createDbPool();
-
-    const existTableQueryResult = await pool.query(
-      sql.typeAlias("exists")`SELECT EXISTS (
+    const existTableQueryResult = await this.#driver.query(
+      `SELECT EXISTS (
                     SELECT FROM
                         pg_tables
                     WHERE 
-                        tablename = ${sql.literalValue([this.#tableName])}
+                        tablename = $1
+                        AND schemaname = COALESCE($2::text, current_schema())
                 );
-                `
+                `,
+      [this.#tableName, this.#migrationSchema ?? null]
     );
 
     if (!existTableQueryResult.rows[0].exists) {
-      await pool.end();
       return {
         state: MIGRATION_TABLE_STATE.table_not_created,
       };
     }
 
-    const lastRowQueryResult = await pool.query(
-      sql.typeAlias("sqlmirror_migration")`
+    // Repeatable migrations have no version and are never the last applied
+    const lastRowQueryResult = await this.#driver.query(
+      `
         SELECT *
-        FROM ${sql.identifier([this.#tableName])}
-        ORDER BY ${this.#tableColumnId} DESC
+        FROM ${this.#quoteTableName(this.#tableName)}
+        WHERE version IS NOT NULL
+        ORDER BY ${quoteIdentifier(this.#tableColumnId)} DESC
         LIMIT 1;
         `
     );
 
-    if (lastRowQueryResult.rowCount === 0) {
-      await pool.end();
+    if (lastRowQueryResult.rows.length === 0) {
       return {
         state: MIGRATION_TABLE_STATE.no_migrations_applied,
       };
@@ -201,7 +391,6 @@ export default class SQLMirrorMigrator {
 
     const lastRow = lastRowQueryResult.rows[0];
     if (lastRow) {
-      await pool.end();
       return {
         state: MIGRATION_TABLE_STATE.migration_applied,
         data: lastRow,
@@ -209,7 +398,7 @@ export default class SQLMirrorMigrator {
     }
   }
 
-  async #getMigrationsFromFs() {
+  async #getSqlFilesFromFs() {
     const migrationFiles = await fs.readdir(this.#migrationDirPath);
 
     return migrationFiles
@@ -222,17 +411,77 @@ export default class SQLMirrorMigrator {
       });
   }
 
-  async #getNextMigrationVersionFromFs() {
+  // Repeatable migrations, sorted by name
+  async #getRepeatableMigrationsFromFs() {
+    return (await this.#getSqlFilesFromFs())
+      .filter((migration) => migration.type === "repeatable")
+      .sort((a, b) => a.filename.localeCompare(b.filename));
+  }
+
+  // Versioned migrations sorted by version, readdir order puts 10.0.0 before
+  // 2.0.0
+  async #getMigrationsFromFs() {
+    const migrations = (await this.#getSqlFilesFromFs())
+      .filter((migration) => migration.type !== "repeatable")
+      .sort(
+        (a, b) =>
+          semver.compare(a.version, b.version) ||
+          a.filename.localeCompare(b.filename)
+      );
+
+    // Migrations created on parallel branches may end up with one version
+    for (const [i, migration] of migrations.entries()) {
+      const collidingMigration = migrations
+        .slice(0, i)
+        .find(
+          (previous) =>
+            previous.type === migration.type &&
+            semver.eq(previous.version, migration.version)
+        );
+
+      if (collidingMigration) {
+        throw new Error(
+          `Migrations ${collidingMigration.filename} and ${migration.filename} share version ${migration.version}, rename one of them to a free version`
+        );
+      }
+    }
+
+    return migrations;
+  }
+
+  async #getNextMigrationVersionFromFs(versioning) {
     const migrationFiles = await this.#getMigrationsFromFs();
     const lastMigration = migrationFiles[migrationFiles.length - 1];
 
     const version = semver.inc(lastMigration?.version || "0.0.0", "major");
 
+    // The UTC creation time as major version, e.g. 20260315094500.0.0, so
+    // that migrations of parallel branches do not collide
+    if (versioning === "timestamp") {
+      const timestampVersion = `${new Date()
+        .toISOString()
+        .replace(/\D/g, "")
+        .slice(0, 14)}.0.0`;
+
+      return semver.gt(timestampVersion, version) ? timestampVersion : version;
+    }
+
     return version;
   }
 
-  async createNextMigrationFiles(migrationName = "") {
-    const version = await this.#getNextMigrationVersionFromFs();
+  async createNextMigrationFiles(
+    migrationName = "",
+    { versioning = this.#versioning } = {}
+  ) {
+    if (!VERSIONING_SCHEMES.includes(versioning)) {
+      throw new Error(
+        `Invalid versioning: ${versioning}, expected one of: ${VERSIONING_SCHEMES.join(
+          ", "
+        )}`
+      );
+    }
+
+    const version = await this.#getNextMigrationVersionFromFs(versioning);
     const upFilename = this.#migrationFilenameSerialize({
       type: "up",
       version,
@@ -273,51 +522,622 @@ export default class SQLMirrorMigrator {
     );
   }
 
-  async #getAppliedMigrationsFromDb() {
-    const pool = await this.#createDbPool();
+  // Versioned migrations folded by a squash migration count as the squash
+  // migration
+  async #getAppliedMigrationsFromDb({ repeatable = false } = {}) {
+    const appliedMigrations = await this.#queryAppliedMigrations({
+      repeatable,
+    });
+    if (repeatable) {
+      return appliedMigrations;
+    }
+
+    return (await this.#foldSquashedMigrations(appliedMigrations))
+      .appliedMigrations;
+  }
 
-    const getAllResult = await pool.query(
-      sql.typeAlias("void")`SELECT * FROM ${sql.identifier([
-        "sqlmirror_migration",
-      ])} ORDER BY ${this.#tableColumnId} DESC`
+  async #queryAppliedMigrations({ repeatable = false } = {}) {
+    const getAllResult = await this.#driver.query(
+      `SELECT * FROM ${this.#quoteTableName(
+        this.#tableName
+      )} WHERE version IS ${
+        repeatable ? "" : "NOT "
+      }NULL ORDER BY ${quoteIdentifier(this.#tableColumnId)} DESC`
     );
 
-    await pool.end();
-
     return getAllResult.rows.map((row) => {
-      return this.#migrationFilenameParse(row.filename);
+      return {
+        ...this.#migrationFilenameParse(row.filename),
+        checksum: row.checksum,
+        baseline: row.baseline === true,
+      };
     });
   }
 
-  #getMigrationConfigPath({ version, migrationName }) {
-    return path.join(
-      process.cwd(),
+  // Up migrations declaring the first version they squash in their header
+  async #getSquashMigrationsFromFs() {
+    const squashMigrations = [];
+
+    for (const migration of await this.#getMigrationsFromFs()) {
+      if (migration.type !== "up") {
+        continue;
+      }
+
+      const fileContent = await fs.readFile(migration.filepath, "utf8");
+      const { squash } = parseMigrationDirectives(fileContent, {
+        source: migration.filename,
+      });
+      if (!squash) {
+        continue;
+      }
+      if (!semver.valid(squash)) {
+        throw new Error(
+          `Invalid sql-mirror directive "squash=${squash}" in ${migration.filename}, expected a version`
+        );
+      }
+
+      squashMigrations.push({
+        ...migration,
+        squashedFrom: squash,
+        checksum: generateChecksum(fileContent),
+      });
+    }
+
+    return squashMigrations;
+  }
+
+  // Databases that applied the migrations of a squash migration before it
+  // existed see it applied in their place, and rewrites lists the
+  // bookkeeping rows to replace
+  async #foldSquashedMigrations(appliedMigrations) {
+    let foldedMigrations = appliedMigrations;
+    const rewrites = [];
+
+    for (const squashMigration of await this.#getSquashMigrationsFromFs()) {
+      const squashedMigrations = foldedMigrations.filter(
+        (migration) =>
+          migration.filename !== squashMigration.filename &&
+          semver.gte(migration.version, squashMigration.squashedFrom) &&
+          semver.lte(migration.version, squashMigration.version)
+      );
+      if (squashedMigrations.length === 0) {
+        continue;
+      }
+
+      if (
+        !squashedMigrations.some((migration) =>
+          semver.eq(migration.version, squashMigration.version)
+        )
+      ) {
+        throw new Error(
+          `${squashMigration.filename} squashes migrations ${
+            squashMigration.squashedFrom
+          } to ${
+            squashMigration.version
+          } but this database only applied ${squashedMigrations
+            .map((migration) => migration.filename)
+            .join(
+              ", "
+            )}, apply the remaining ones from a checkout preceding the squash first`
+        );
+      }
+
+      const appliedSquashMigration = {
+        ...this.#migrationFilenameParse(squashMigration.filename),
+        checksum: squashMigration.checksum,
+        baseline: squashedMigrations.some((migration) => migration.baseline),
+      };
+      const squashIndex = foldedMigrations.findIndex((migration) =>
+        squashedMigrations.includes(migration)
+      );
+      foldedMigrations = foldedMigrations.filter(
+        (migration) => !squashedMigrations.includes(migration)
+      );
+      foldedMigrations.splice(squashIndex, 0, appliedSquashMigration);
+
+      rewrites.push({
+        squashMigration: appliedSquashMigration,
+        squashedMigrations,
+      });
+    }
+
+    return { appliedMigrations: foldedMigrations, rewrites };
+  }
+
+  // Replace the bookkeeping rows of squashed migrations by their squash
+  // migration, without running anything
+  async #rewriteSquashedBookkeeping() {
+    const { rewrites } = await this.#foldSquashedMigrations(
+      await this.#queryAppliedMigrations()
+    );
+    if (rewrites.length === 0) {
+      return;
+    }
+
+    await this.#upgradeMigrationTable();
+    const quotedTableName = this.#quoteTableName(this.#tableName);
+
+    for (const { squashMigration, squashedMigrations } of rewrites) {
+      await this.#driver.transaction(async (transactionConnection) => {
+        // The squash row takes the highest id of the rows it replaces to keep
+        // its place in the applied order
+        let squashId = null;
+        for (const migration of squashedMigrations) {
+          const deleteResult = await transactionConnection.query(
+            `DELETE FROM ${quotedTableName} WHERE version = $1 RETURNING ${quoteIdentifier(
+              this.#tableColumnId
+            )} AS id;`,
+            [migration.version]
+          );
+          for (const { id } of deleteResult.rows) {
+            squashId = squashId === null ? id : Math.max(squashId, id);
+          }
+        }
+        await transactionConnection.query(
+          `INSERT INTO ${quotedTableName} (${quoteIdentifier(
+            this.#tableColumnId
+          )}, version, name, filename, checksum, baseline) VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            squashId,
+            squashMigration.version,
+            squashMigration.migrationName,
+            squashMigration.filename,
+            squashMigration.checksum,
+            squashMigration.baseline,
+          ]
+        );
+      });
+    }
+  }
+
+  async status() {
+    return this.#withConnection(() => this.#status());
+  }
+
+  async #status() {
+    const migrationTableState = await this.#getMigrationTableStateFromDb();
+    const appliedMigrations =
+      migrationTableState.state === MIGRATION_TABLE_STATE.table_not_created
+        ? []
+        : await this.#getAppliedMigrationsFromDb();
+
+    const migrationsUpFromFs = (await this.#getMigrationsFromFs()).filter(
+      (migration) => migration.type === "up"
+    );
+
+    const lastAppliedVersion = getLastVersion(appliedMigrations);
+
+    const migrationsStatus = [];
+
+    for (const migration of migrationsUpFromFs) {
+      const appliedMigration = appliedMigrations.find(
+        (applied) => applied.version === migration.version
+      );
+
+      if (!appliedMigration) {
+        migrationsStatus.push({
+          version: migration.version,
+          name: migration.migrationName,
+          filename: migration.filename,
+          state: MIGRATION_STATE.pending,
+          checksumMismatch: false,
+          baseline: false,
+          outOfOrder: Boolean(
+            lastAppliedVersion &&
+              semver.lt(migration.version, lastAppliedVersion)
+          ),
+        });
+        continue;
+      }
+
+      const fileContent = await fs.readFile(migration.filepath, "utf8");
+      migrationsStatus.push({
+        version: migration.version,
+        name: migration.migrationName,
+        filename: migration.filename,
+        state: MIGRATION_STATE.applied,
+        checksumMismatch:
+          generateChecksum(fileContent) !== appliedMigration.checksum,
+        baseline: appliedMigration.baseline,
+        outOfOrder: false,
+      });
+    }
+
+    for (const appliedMigration of appliedMigrations) {
+      const existsOnFs = migrationsUpFromFs.find(
+        (migration) => migration.version === appliedMigration.version
+      );
+
+      if (!existsOnFs) {
+        migrationsStatus.push({
+          version: appliedMigration.version,
+          name: appliedMigration.migrationName,
+          filename: appliedMigration.filename,
+          state: MIGRATION_STATE.missing,
+          checksumMismatch: false,
+          baseline: appliedMigration.baseline,
+          outOfOrder: false,
+        });
+      }
+    }
+
+    migrationsStatus.sort((a, b) => semver.compare(a.version, b.version));
+
+    // Repeatable migrations come last, pending again once edited
+    const appliedRepeatableMigrations =
+      migrationTableState.state === MIGRATION_TABLE_STATE.table_not_created
+        ? []
+        : await this.#getAppliedMigrationsFromDb({ repeatable: true });
+    const repeatableMigrations = await this.#getRepeatableMigrationsFromFs();
+    const repeatableMigrationsStatus = [];
+
+    for (const migration of repeatableMigrations) {
+      const appliedMigration = appliedRepeatableMigrations.find(
+        (applied) => applied.filename === migration.filename
+      );
+      const fileContent = await fs.readFile(migration.filepath, "utf8");
+
+      repeatableMigrationsStatus.push({
+        version: null,
+        name: migration.migrationName,
+        filename: migration.filename,
+        state:
+          appliedMigration?.checksum === generateChecksum(fileContent)
+            ? MIGRATION_STATE.applied
+            : MIGRATION_STATE.pending,
+        checksumMismatch: false,
+        baseline: false,
+        outOfOrder: false,
+      });
+    }
+
+    for (const appliedMigration of appliedRepeatableMigrations) {
+      if (
+        !repeatableMigrations.find(
+          (migration) => migration.filename === appliedMigration.filename
+        )
+      ) {
+        repeatableMigrationsStatus.push({
+          version: null,
+          name: appliedMigration.migrationName,
+          filename: appliedMigration.filename,
+          state: MIGRATION_STATE.missing,
+          checksumMismatch: false,
+          baseline: false,
+          outOfOrder: false,
+        });
+      }
+    }
+
+    return [
+      ...migrationsStatus,
+      ...repeatableMigrationsStatus.sort((a, b) =>
+        a.filename.localeCompare(b.filename)
+      ),
+    ];
+  }
+
+  #getMigrationConfigPath({ type, version, migrationName }) {
+    return path.resolve(
       this.#migrationDirPath,
       this.#migrationFilenameSerialize({
-        type: "config",
+        type: isRepeatableType(type) ? "repeatableConfig" : "config",
         version,
         migrationName,
       })
     );
   }
 
-  async up() {
-    // handle migration table state
-    const migrationTableState = await this.#getMigrationTableStateFromDb();
-    if (migrationTableState.state === MIGRATION_TABLE_STATE.table_not_created) {
-      await this.#createMigrationTable();
+  async #importMigrationConfig({ type, version, migrationName }) {
+    const sqlMirrorConfigFilePath = this.#getMigrationConfigPath({
+      type,
+      version,
+      migrationName,
+    });
+
+    if (!(await existsFile(sqlMirrorConfigFilePath))) {
+      return null;
     }
 
-    let lastAppliedMigration;
-    if (migrationTableState.state === MIGRATION_TABLE_STATE.migration_applied) {
-      lastAppliedMigration = migrationTableState.data;
+    const { default: sqlMirrorConfig } = await import(sqlMirrorConfigFilePath);
+    return sqlMirrorConfig();
+  }
+
+  // Fold the configs of all migrations preceding version into one schema,
+  // or of every migration without version
+  async #getPreviousConfig(version) {
+    const migrationsFromFs = await this.#getMigrationsFromFs();
+    const previousMigrations = migrationsFromFs
+      .filter(
+        (migration) =>
+          migration.type === "up" &&
+          (!version || semver.lt(migration.version, version))
+      )
+      .sort((a, b) => semver.compare(a.version, b.version));
+
+    const previousConfigs = [];
+    for (const migration of previousMigrations) {
+      const config = await this.#importMigrationConfig(migration);
+      if (config) {
+        previousConfigs.push(config);
+      }
+    }
+
+    return foldSqlConfigs(previousConfigs);
+  }
+
+  async types() {
+    return generateTypes(await this.#getPreviousConfig(), {
+      schema: this.#schema,
+    });
+  }
+
+  async diagram({ format } = {}) {
+    return generateDiagram(await this.#getPreviousConfig(), {
+      format,
+      schema: this.#schema,
+    });
+  }
+
+  // Lint the tables as the migrations leave them, each reported in the
+  // config that last declared it, and the SQL files of up and repeatable
+  // migrations. With since, only what migrations after that version touch
+  async lint({ rules, plugins, since } = {}) {
+    if (since && !semver.valid(since)) {
+      throw new Error(`Invalid version: ${since}`);
+    }
+
+    const migrationsUpFromFs = (await this.#getMigrationsFromFs()).filter(
+      (migration) => migration.type === "up"
+    );
+    const isLinted = (migration) =>
+      !since || semver.gt(migration.version, since);
+
+    const configs = [];
+    const tableMigrations = new Map();
+    for (const migration of migrationsUpFromFs) {
+      const config = await this.#importMigrationConfig(migration);
+      if (!config) {
+        continue;
+      }
+
+      configs.push(config);
+      for (const table of config.tables || []) {
+        tableMigrations.set(
+          qualifyName(table.schema ?? this.#schema, table.name),
+          migration
+        );
+      }
+    }
+
+    const { tables = [] } = qualifySqlConfig(foldSqlConfigs(configs), {
+      schema: this.#schema,
+    });
+    const lintedTables = tables
+      .filter((table) => isLinted(tableMigrations.get(table.name)))
+      .map((table) => ({
+        table,
+        file: path.basename(
+          this.#getMigrationConfigPath(tableMigrations.get(table.name))
+        ),
+      }));
+
+    const sqlFiles = [];
+    for (const migration of [
+      ...migrationsUpFromFs.filter(isLinted),
+      ...(await this.#getRepeatableMigrationsFromFs()),
+    ]) {
+      sqlFiles.push({
+        filename: migration.filename,
+        sql: await fs.readFile(migration.filepath, "utf8"),
+      });
+    }
+
+    return lintMigrations(
+      { tables: lintedTables, sqlFiles },
+      { rules, plugins }
+    );
+  }
+
+  async pull({ schema } = {}) {
+    return this.#withConnection(() => pullSqlConfig(this.#driver, { schema }));
+  }
+
+  async #getMigrationSql({ version, migrationName }, type) {
+    const filename = this.#migrationFilenameSerialize({
+      type,
+      version,
+      migrationName,
+    });
+    const filepath = path.join(this.#migrationDirPath, filename);
+
+    return {
+      filename,
+      filepath,
+      sql: await fs.readFile(filepath, "utf8"),
+    };
+  }
+
+  // The up and down SQL of a migration with a config, or null
+  async #generateMigrationSql({ version, migrationName }) {
+    const config = await this.#importMigrationConfig({
+      version,
+      migrationName,
+    });
+
+    if (!config || Object.keys(config).length === 0) {
+      return null;
+    }
+
+    const previousConfig = await this.#getPreviousConfig(version);
+    validateSqlConfig(config, {
+      previousConfig,
+      source: path.basename(
+        this.#getMigrationConfigPath({ version, migrationName })
+      ),
+      schema: this.#schema,
+    });
+
+    return generateSqlFileContent(config, {
+      previousConfig,
+      schema: this.#schema,
+    });
+  }
+
+  // The SQL of a repeatable migration with a config, or null
+  async #generateRepeatableMigrationSql(migration) {
+    const config = await this.#importMigrationConfig(migration);
+
+    if (!config || Object.keys(config).length === 0) {
+      return null;
+    }
+
+    const previousConfig = await this.#getPreviousConfig();
+    validateSqlConfig(config, {
+      previousConfig,
+      source: path.basename(this.#getMigrationConfigPath(migration)),
+      schema: this.#schema,
+      repeatable: true,
+    });
+
+    return generateRepeatableSqlFileContent(config, {
+      previousConfig,
+      schema: this.#schema,
+    });
+  }
+
+  async #getRepeatableConfigsFromFs() {
+    const migrationFiles = await fs.readdir(this.#migrationDirPath);
+
+    return migrationFiles
+      .filter((filename) => /^R__.+\.js$/.test(filename))
+      .sort((a, b) => a.localeCompare(b))
+      .map((filename) => this.#migrationFilenameParse(filename));
+  }
+
+  // SQL files differing from what their config generates
+  async #getStaleMigrationFiles() {
+    const migrationsUpFromFs = (await this.#getMigrationsFromFs())
+      .filter((migration) => migration.type === "up")
+      .sort((a, b) => semver.compare(a.version, b.version));
+
+    const staleFiles = [];
+    for (const migration of migrationsUpFromFs) {
+      const generatedSql = await this.#generateMigrationSql(migration);
+      if (!generatedSql) {
+        continue;
+      }
+
+      for (const type of ["up", "down"]) {
+        const filename = this.#migrationFilenameSerialize({
+          type,
+          version: migration.version,
+          migrationName: migration.migrationName,
+        });
+        const filepath = path.join(this.#migrationDirPath, filename);
+        const committedSql = (await existsFile(filepath))
+          ? await fs.readFile(filepath, "utf8")
+          : null;
+
+        if (committedSql !== generatedSql[type]) {
+          staleFiles.push({ filename, filepath, sql: generatedSql[type] });
+        }
+      }
+    }
+
+    for (const repeatableConfig of await this.#getRepeatableConfigsFromFs()) {
+      const generatedSql = await this.#generateRepeatableMigrationSql(
+        repeatableConfig
+      );
+      if (!generatedSql) {
+        continue;
+      }
+
+      const filename = this.#migrationFilenameSerialize({
+        type: "repeatable",
+        migrationName: repeatableConfig.migrationName,
+      });
+      const filepath = path.join(this.#migrationDirPath, filename);
+      const committedSql = (await existsFile(filepath))
+        ? await fs.readFile(filepath, "utf8")
+        : null;
+
+      if (committedSql !== generatedSql) {
+        staleFiles.push({ filename, filepath, sql: generatedSql });
+      }
+    }
+
+    return staleFiles;
+  }
+
+  async build() {
+    const staleFiles = await this.#getStaleMigrationFiles();
+    for (const { filepath, sql } of staleFiles) {
+      await fs.writeFile(filepath, sql);
+    }
+
+    return staleFiles.map(({ filename }) => filename);
+  }
+
+  async check() {
+    const staleFiles = await this.#getStaleMigrationFiles();
+    return staleFiles.map(({ filename }) => filename);
+  }
+
+  async up(options = {}) {
+    return this.#withConnection(() => {
+      if (options.dryRun) {
+        return this.#up(options);
+      }
+
+      return this.#withMigrationLock(() => this.#up(options));
+    });
+  }
+
+  async #up({
+    ignoreChecksum = false,
+    allowOutOfOrder = false,
+    to,
+    dryRun = false,
+  } = {}) {
+    if (to && !semver.valid(to)) {
+      throw new Error(`Invalid version: ${to}`);
+    }
+
+    if (!ignoreChecksum) {
+      const editedMigrations = (await this.#status()).filter(
+        (migration) => migration.checksumMismatch
+      );
+
+      if (editedMigrations.length > 0) {
+        throw new Error(
+          `Applied migrations were edited since they were applied: ${editedMigrations
+            .map((migration) => migration.filename)
+            .join(", ")}`
+        );
+      }
+    }
+
+    // handle migration table state
+    const migrationTableState = await this.#getMigrationTableStateFromDb();
+    const tableNotCreated =
+      migrationTableState.state === MIGRATION_TABLE_STATE.table_not_created;
+    if (!dryRun) {
+      if (tableNotCreated) {
+        await this.#createMigrationTable();
+      } else {
+        await this.#upgradeMigrationTable();
+        await this.#rewriteSquashedBookkeeping();
+      }
     }
 
     const migrationsFromFs = await this.#getMigrationsFromFs();
     const migrationsUpFromFs = migrationsFromFs.filter(
       (migration) => migration.type === "up"
     );
-    const appliedMigrations = await this.#getAppliedMigrationsFromDb();
+    const appliedMigrations = tableNotCreated
+      ? []
+      : await this.#getAppliedMigrationsFromDb();
 
     const migrationUpFilesToApply = migrationsUpFromFs
       .filter(
@@ -326,35 +1146,121 @@ export default class SQLMirrorMigrator {
             (appliedMigration) => appliedMigration.version === migration.version
           )
       )
-      .filter((migration) => {
-        if (!lastAppliedMigration) {
-          return true;
-        }
+      .filter((migration) => !to || semver.lte(migration.version, to));
+
+    // Pending migrations older than the last applied one, typically merged
+    // from another branch
+    const lastAppliedVersion = getLastVersion(appliedMigrations);
+    const outOfOrderMigrations = migrationUpFilesToApply.filter(
+      (migration) =>
+        lastAppliedVersion && semver.lt(migration.version, lastAppliedVersion)
+    );
+    if (outOfOrderMigrations.length > 0 && !allowOutOfOrder) {
+      throw new Error(
+        `Pending migrations are older than the last applied version ${lastAppliedVersion}: ${outOfOrderMigrations
+          .map((migration) => migration.filename)
+          .join(
+            ", "
+          )}, pass allowOutOfOrder (--allow-out-of-order) to apply them`
+      );
+    }
 
-        return semver.gt(migration.version, lastAppliedMigration.version);
-      });
+    // Repeatable migrations run after the versioned ones, when new or edited
+    const appliedRepeatableMigrations = tableNotCreated
+      ? []
+      : await this.#getAppliedMigrationsFromDb({ repeatable: true });
+    const repeatableMigrationsToApply = [];
+    for (const migration of await this.#getRepeatableMigrationsFromFs()) {
+      const fileContent = await fs.readFile(migration.filepath, "utf8");
+      const appliedMigration = appliedRepeatableMigrations.find(
+        (applied) => applied.filename === migration.filename
+      );
+      if (appliedMigration?.checksum !== generateChecksum(fileContent)) {
+        repeatableMigrationsToApply.push({ ...migration, sql: fileContent });
+      }
+    }
+
+    // Without build, pending migrations would apply the placeholders written
+    // by create or SQL outdated by their config
+    const pendingFilenames = [
+      ...migrationUpFilesToApply.flatMap((migration) =>
+        ["up", "down"].map((type) =>
+          this.#migrationFilenameSerialize({
+            type,
+            version: migration.version,
+            migrationName: migration.migrationName,
+          })
+        )
+      ),
+      ...repeatableMigrationsToApply.map((migration) => migration.filename),
+    ];
+    const stalePendingFiles = (await this.#getStaleMigrationFiles()).filter(
+      ({ filename }) => pendingFilenames.includes(filename)
+    );
+    if (stalePendingFiles.length > 0) {
+      throw new Error(
+        `Pending migrations differ from what their configs generate: ${stalePendingFiles
+          .map(({ filename }) => filename)
+          .join(", ")}, run build first`
+      );
+    }
 
+    const plan = [];
     for (const migrationUpFile of migrationUpFilesToApply) {
-      const sqlMirrorConfigFilePath =
-        this.#getMigrationConfigPath(migrationUpFile);
+      const migrationSql = await this.#getMigrationSql(migrationUpFile, "up");
 
-      if (await existsFile(sqlMirrorConfigFilePath)) {
-        const { default: sqlMirrorConfig } = await import(
-          sqlMirrorConfigFilePath
-        );
-        const config = sqlMirrorConfig();
+      if (dryRun) {
+        plan.push({ filename: migrationSql.filename, sql: migrationSql.sql });
+        continue;
+      }
 
-        if (Object.keys(config).length > 0) {
-          const { up } = generateSqlFileContent(config);
-          await fs.writeFile(migrationUpFile.filepath, up);
-        }
+      await this.#executeUpMigration(migrationSql.filepath);
+    }
+
+    for (const migration of repeatableMigrationsToApply) {
+      if (dryRun) {
+        plan.push({ filename: migration.filename, sql: migration.sql });
+        continue;
       }
 
-      await this.#executeUpMigration(migrationUpFile.filepath);
+      await this.#executeRepeatableMigration(migration.filepath);
+    }
+
+    if (dryRun) {
+      return plan;
     }
   }
 
-  async down() {
+  async plan({ ignoreChecksum = false, allowOutOfOrder = false, to } = {}) {
+    return this.up({ ignoreChecksum, allowOutOfOrder, to, dryRun: true });
+  }
+
+  async down(options = {}) {
+    return this.#withConnection(() => {
+      if (options.dryRun) {
+        return this.#down(options);
+      }
+
+      return this.#withMigrationLock(() => this.#down(options));
+    });
+  }
+
+  async #down({ to, steps, all = false, dryRun = false } = {}) {
+    const targetOptions = [to, steps, all || undefined].filter(
+      (option) => option !== undefined
+    );
+    if (targetOptions.length > 1) {
+      throw new Error("Only one of to, steps and all can be given");
+    }
+
+    if (to && !semver.valid(to)) {
+      throw new Error(`Invalid version: ${to}`);
+    }
+
+    if (steps !== undefined && !(Number.isInteger(steps) && steps > 0)) {
+      throw new Error(`Invalid steps: ${steps}`);
+    }
+
     const migrationTableState = await this.#getMigrationTableStateFromDb();
     if (migrationTableState.state === MIGRATION_TABLE_STATE.table_not_created) {
       throw new Error("Migration table not created");
@@ -366,54 +1272,406 @@ export default class SQLMirrorMigrator {
       throw new Error("No migrations applied");
     }
 
-    if (migrationTableState.state === MIGRATION_TABLE_STATE.migration_applied) {
-      const lastAppliedMigration = migrationTableState.data;
+    if (!dryRun) {
+      await this.#rewriteSquashedBookkeeping();
+    }
+
+    // Ordered from the last applied
+    const appliedMigrations = await this.#getAppliedMigrationsFromDb();
+
+    let migrationsToRevert;
+    if (all) {
+      migrationsToRevert = appliedMigrations;
+    } else if (to) {
+      migrationsToRevert = appliedMigrations.filter((migration) =>
+        semver.gt(migration.version, to)
+      );
+    } else {
+      migrationsToRevert = appliedMigrations.slice(0, steps || 1);
+    }
+
+    // Baselined migrations were never run by sql-mirror, their down file may
+    // not undo what the database holds
+    const baselineMigration = migrationsToRevert.find(
+      (migration) => migration.baseline
+    );
+    if (baselineMigration) {
+      throw new Error(
+        `Cannot revert ${baselineMigration.filename}, it was recorded by baseline and never applied`
+      );
+    }
+
+    const plan = [];
+    for (const migration of migrationsToRevert) {
+      const migrationSql = await this.#getMigrationSql(migration, "down");
+
+      if (dryRun) {
+        plan.push({ filename: migrationSql.filename, sql: migrationSql.sql });
+        continue;
+      }
+
+      await this.#executeDownMigration(migrationSql.filepath);
+    }
+
+    if (dryRun) {
+      return plan;
+    }
+  }
+
+  async squash(options = {}) {
+    return this.#squash(options);
+  }
+
+  // Fold the migrations up to version to into one migration of that version,
+  // generated from their configs, with the SQL of those without a config
+  // appended as raw SQL
+  async #squash({ to, name = "squash" } = {}) {
+    if (!semver.valid(to)) {
+      throw new Error(`Invalid version: ${to}`);
+    }
+
+    const migrationsUpFromFs = (await this.#getMigrationsFromFs()).filter(
+      (migration) => migration.type === "up"
+    );
+    if (!migrationsUpFromFs.some((migration) => migration.version === to)) {
+      throw new Error(`No migration with version ${to}`);
+    }
+
+    const squashedMigrations = migrationsUpFromFs.filter((migration) =>
+      semver.lte(migration.version, to)
+    );
+    if (squashedMigrations.length < 2) {
+      throw new Error(`Nothing to squash, ${to} is the first migration`);
+    }
+
+    const configs = [];
+    const rawUps = [];
+    const rawDowns = [];
+    let squashedFrom = squashedMigrations[0].version;
+    let transaction;
+
+    for (const migration of squashedMigrations) {
+      const { sql: upSql } = await this.#getMigrationSql(migration, "up");
+      const directives = parseMigrationDirectives(upSql, {
+        source: migration.filename,
+      });
+
+      // Squashing a squash migration covers what it squashed
+      if (directives.squash && semver.lt(directives.squash, squashedFrom)) {
+        squashedFrom = directives.squash;
+      }
+      if (directives.transaction === false) {
+        transaction = false;
+      }
 
-      const migrationDownFilePath = path.join(
-        this.#migrationDirPath,
-        this.#migrationFilenameSerialize({
+      const config = await this.#importMigrationConfig(migration);
+      if (config && Object.keys(config).length > 0) {
+        configs.push(config);
+        continue;
+      }
+
+      const { sql: downSql } = await this.#getMigrationSql(migration, "down");
+      rawUps.push(`-- ${migration.filename}\n${stripDirectives(upSql)}`);
+      rawDowns.unshift(
+        `-- ${this.#migrationFilenameSerialize({
           type: "down",
-          version: lastAppliedMigration.version,
-          migrationName: lastAppliedMigration.name,
-        })
+          version: migration.version,
+          migrationName: migration.migrationName,
+        })}\n${stripDirectives(downSql)}`
       );
+    }
 
-      const sqlMirrorConfigFilePath = this.#getMigrationConfigPath({
-        version: lastAppliedMigration.version,
-        migrationName: lastAppliedMigration.name,
+    const options = {
+      ...(transaction === false ? { transaction } : {}),
+      squash: squashedFrom,
+    };
+    const raw =
+      rawUps.length > 0
+        ? { up: rawUps.join("\n\n"), down: rawDowns.join("\n\n") }
+        : undefined;
+
+    const files = {};
+    for (const type of ["up", "down", "config"]) {
+      files[type] = this.#migrationFilenameSerialize({
+        type,
+        version: to,
+        migrationName: name,
+      });
+    }
+
+    const fileContents = new Map();
+    if (configs.length > 0) {
+      const foldedConfig = Object.fromEntries(
+        Object.entries(foldSqlConfigs(configs)).filter(
+          ([, entities]) => entities.length > 0
+        )
+      );
+      const squashConfig = { ...foldedConfig, options, ...(raw && { raw }) };
+      const { up, down } = generateSqlFileContent(squashConfig, {
+        schema: this.#schema,
       });
 
-      if (await existsFile(sqlMirrorConfigFilePath)) {
-        const { default: sqlMirrorConfig } = await import(
-          sqlMirrorConfigFilePath
+      fileContents.set(
+        files.config,
+        renderSqlConfigModule(squashConfig, {
+          comment: `migrations ${squashedFrom} to ${to} squashed by sql-mirror`,
+        })
+      );
+      fileContents.set(files.up, up);
+      fileContents.set(files.down, down);
+    } else {
+      const header = formatMigrationDirectives(options);
+      fileContents.set(files.up, `${header}${raw.up}\n`);
+      fileContents.set(files.down, `${header}${raw.down}\n`);
+    }
+
+    const removedFiles = [];
+    for (const migration of squashedMigrations) {
+      for (const type of ["up", "down", "config"]) {
+        const filename = this.#migrationFilenameSerialize({
+          type,
+          version: migration.version,
+          migrationName: migration.migrationName,
+        });
+        const filepath = path.join(this.#migrationDirPath, filename);
+
+        if (await existsFile(filepath)) {
+          await fs.rm(filepath);
+          removedFiles.push(filename);
+        }
+      }
+    }
+
+    for (const [filename, content] of fileContents) {
+      await fs.writeFile(path.join(this.#migrationDirPath, filename), content);
+    }
+
+    return {
+      removed: removedFiles.filter((filename) => !fileContents.has(filename)),
+      created: [...fileContents.keys()],
+    };
+  }
+
+  async baseline(options = {}) {
+    return this.#withConnection(() =>
+      this.#withMigrationLock(() => this.#baseline(options))
+    );
+  }
+
+  // Record every migration up to version as applied without running it, for
+  // databases whose schema already exists
+  async #baseline({ version } = {}) {
+    if (!semver.valid(version)) {
+      throw new Error(`Invalid version: ${version}`);
+    }
+
+    const migrationTableState = await this.#getMigrationTableStateFromDb();
+    if (migrationTableState.state === MIGRATION_TABLE_STATE.migration_applied) {
+      throw new Error(
+        `Cannot baseline a database with applied migrations, last applied is ${migrationTableState.data.filename}`
+      );
+    }
+
+    const migrationsUpFromFs = (await this.#getMigrationsFromFs())
+      .filter((migration) => migration.type === "up")
+      .sort((a, b) => semver.compare(a.version, b.version));
+
+    if (
+      !migrationsUpFromFs.some((migration) => migration.version === version)
+    ) {
+      throw new Error(`No migration with version ${version}`);
+    }
+
+    if (migrationTableState.state === MIGRATION_TABLE_STATE.table_not_created) {
+      await this.#createMigrationTable();
+    } else {
+      await this.#upgradeMigrationTable();
+    }
+
+    const baselineMigrations = migrationsUpFromFs.filter((migration) =>
+      semver.lte(migration.version, version)
+    );
+
+    await this.#driver.transaction(async (transactionConnection) => {
+      for (const migration of baselineMigrations) {
+        const fileContent = await fs.readFile(migration.filepath, "utf8");
+        await transactionConnection.query(
+          `INSERT INTO ${this.#quoteTableName(
+            this.#tableName
+          )} (version, name, filename, checksum, baseline) VALUES ($1, $2, $3, $4, true)`,
+          [
+            migration.version,
+            migration.migrationName,
+            migration.filename,
+            generateChecksum(fileContent),
+          ]
         );
-        const config = sqlMirrorConfig();
+      }
+    });
+
+    return baselineMigrations.map((migration) => migration.filename);
+  }
+
+  async seed(options = {}) {
+    return this.#withConnection(() =>
+      this.#withMigrationLock(() => this.#seed(options))
+    );
+  }
+
+  // Seeds run in the order tables are created, and again once edited
+  async #seed({
+    env = process.env.NODE_ENV || "development",
+    force = false,
+  } = {}) {
+    await this.#createSeedTable();
+
+    const { tables } = qualifySqlConfig(await this.#getPreviousConfig(), {
+      schema: this.#schema,
+    });
+    const { sortedTables } = sortTablesByReferences(tables);
+    const tableNames = [...sortedTables].reverse().map((table) => table.name);
+
+    const seeds = await this.#getSeedsFromFs(env, tableNames);
+    for (const seed of seeds) {
+      if (!tableNames.includes(seed.tableName)) {
+        throw new Error(
+          `Seed ${seed.filename} targets unknown table "${seed.tableName}"`
+        );
+      }
+    }
+
+    seeds.sort(
+      (a, b) =>
+        tableNames.indexOf(a.tableName) - tableNames.indexOf(b.tableName) ||
+        Number(Boolean(a.env)) - Number(Boolean(b.env)) ||
+        a.filename.localeCompare(b.filename)
+    );
+
+    const appliedSeedsResult = await this.#driver.query(
+      `SELECT filename, checksum FROM ${this.#quoteTableName(
+        this.#seedTableName
+      )};`
+    );
+
+    const executedSeeds = [];
+    for (const seed of seeds) {
+      const fileContent = await fs.readFile(seed.filepath, "utf8");
+      const checksum = generateChecksum(fileContent);
+      const appliedSeed = appliedSeedsResult.rows.find(
+        (row) => row.filename === seed.filename
+      );
+
+      if (!force && appliedSeed?.checksum === checksum) {
+        continue;
+      }
+
+      const table = tables.find((table) => table.name === seed.tableName);
+      await this.#executeSeed(seed, { fileContent, checksum, table, env });
+      executedSeeds.push(seed.filename);
+    }
+
+    return executedSeeds;
+  }
+
+  async #createSeedTable() {
+    const sqlUp = generateSqlFileContent({
+      tables: [
+        {
+          name: this.#seedTableName,
+          schema: this.#migrationSchema,
+          columns: [
+            "sqlmirror_seed_id SERIAL PRIMARY KEY",
+            "filename VARCHAR(255) UNIQUE NOT NULL",
+            "checksum TEXT NOT NULL",
+          ],
+          options: {
+            disableId: true,
+          },
+          plugins: [sqlMirror.tablePlugin.created_at],
+        },
+      ],
+    }).up;
+
+    await this.#driver.query(sqlUp);
+  }
+
+  // [<schema>.]<table>[.<label>].sql|js in the seeds directory, and in its
+  // <env> subdirectory for the current environment only
+  async #getSeedsFromFs(env, tableNames) {
+    const seeds = [];
+
+    for (const seedEnv of [null, env]) {
+      const dirPath = seedEnv
+        ? path.join(this.#seedsDirPath, seedEnv)
+        : this.#seedsDirPath;
+
+      if (!(await existsFile(dirPath))) {
+        continue;
+      }
 
-        if (Object.keys(config).length > 0) {
-          const { down } = generateSqlFileContent(config);
-          await fs.writeFile(migrationDownFilePath, down);
+      const dirents = await fs.readdir(dirPath, { withFileTypes: true });
+      for (const dirent of dirents) {
+        const { ext } = path.parse(dirent.name);
+        if (!dirent.isFile() || !SEED_EXTENSIONS.includes(ext)) {
+          continue;
         }
+
+        // A schema prefix is told apart from a label by the tables it names
+        const [firstPart, secondPart] = dirent.name.split(".");
+        const schemaTableName = `${firstPart}.${secondPart}`;
+
+        seeds.push({
+          filename: seedEnv ? `${seedEnv}/${dirent.name}` : dirent.name,
+          filepath: path.resolve(dirPath, dirent.name),
+          tableName: tableNames.includes(schemaTableName)
+            ? schemaTableName
+            : qualifyName(this.#schema, firstPart),
+          ext,
+          env: seedEnv,
+        });
       }
+    }
+
+    return seeds;
+  }
 
-      await this.#executeDownMigration(migrationDownFilePath);
+  async #executeSeed(seed, { fileContent, checksum, table, env }) {
+    let seedQuery = { text: fileContent, values: [] };
+
+    // JS seeds return the rows of their table, upserted on its natural key
+    if (seed.ext === ".js") {
+      const { default: getRows, key } = await import(seed.filepath);
+      const rows = await getRows({ env });
+      seedQuery =
+        rows.length > 0 ? generateSeedSql(table, rows, { key }) : null;
     }
+
+    await this.#driver.transaction(async (transactionConnection) => {
+      if (seedQuery) {
+        await transactionConnection.query(seedQuery.text, seedQuery.values);
+      }
+      await transactionConnection.query(
+        `
+          INSERT INTO ${this.#quoteTableName(
+            this.#seedTableName
+          )} (filename, checksum) VALUES ($1, $2)
+          ON CONFLICT (filename) DO UPDATE SET checksum = EXCLUDED.checksum;
+        `,
+        [seed.filename, checksum]
+      );
+    });
   }
 
   async #executeDownMigration(filepath) {
     const fileContent = await fs.readFile(filepath, "utf8");
-    const pool = await this.#createDbPool();
-
     const { version } = this.#migrationFilenameParse(path.basename(filepath));
 
-    await pool.transaction(async (transactionConnection) => {
-      await transactionConnection.query({ sql: fileContent });
-      await transactionConnection.query(
-        sql.typeAlias("void")`DELETE FROM ${sql.identifier([
-          this.#tableName,
-        ])} WHERE version = ${sql.literalValue([version])};`
-      );
+    await this.#executeMigration(filepath, fileContent, {
+      text: `DELETE FROM ${this.#quoteTableName(
+        this.#tableName
+      )} WHERE version = $1;`,
+      values: [version],
     });
-    await pool.end();
   }
 
   async #executeUpMigration(filepath) {
@@ -422,22 +1680,107 @@ export default class SQLMirrorMigrator {
     const filename = path.basename(filepath);
     const checksum = generateChecksum(fileContent);
 
-    const pool = await this.#createDbPool();
+    await this.#executeMigration(filepath, fileContent, {
+      text: `INSERT INTO ${this.#quoteTableName(
+        this.#tableName
+      )} (version, name, filename, checksum) VALUES ($1, $2, $3, $4)`,
+      values: [migration.version, migration.migrationName, filename, checksum],
+    });
+  }
 
-    await pool.transaction(async (transactionConnection) => {
-      await transactionConnection.query({ sql: fileContent });
-      await transactionConnection.query(
-        sql.typeAlias("void")`INSERT INTO ${sql.identifier([
-          this.#tableName,
-        ])} (version, name, filename, checksum) VALUES (
-            ${sql.literalValue(migration.version)},
-            ${sql.literalValue(migration.migrationName)},
-            ${sql.literalValue(filename)},
-            ${sql.literalValue(checksum)}
-        )`
-      );
+  async #executeRepeatableMigration(filepath) {
+    const fileContent = await fs.readFile(filepath, "utf8");
+    const migration = this.#migrationFilenameParse(filepath);
+    const filename = path.basename(filepath);
+    const checksum = generateChecksum(fileContent);
+
+    await this.#executeMigration(filepath, fileContent, {
+      text: `
+        INSERT INTO ${this.#quoteTableName(
+          this.#tableName
+        )} (name, filename, checksum) VALUES ($1, $2, $3)
+        ON CONFLICT (filename) DO UPDATE SET checksum = EXCLUDED.checksum;
+      `,
+      values: [migration.migrationName, filename, checksum],
     });
-    await pool.end();
+  }
+
+  // Runs a migration file and its bookkeeping query as the directives of its
+  // header say
+  async #executeMigration(filepath, fileContent, bookkeepingQuery) {
+    const filename = path.basename(filepath);
+    const { transaction, lockTimeout, statementTimeout } =
+      parseMigrationDirectives(fileContent, { source: filename });
+    const settings = [
+      ["lock_timeout", lockTimeout],
+      ["statement_timeout", statementTimeout],
+    ].filter(([, value]) => value !== undefined);
+
+    if (transaction !== false) {
+      // Postgres before 12 refuses ALTER TYPE ... ADD VALUE in a transaction
+      // and later versions refuse to use the value in the transaction adding
+      // it, so those leading the file are committed first
+      const { enumValueStatements, transactionSql } =
+        splitEnumValueStatements(fileContent);
+      for (const statement of enumValueStatements) {
+        await this.#driver.query(statement);
+      }
+
+      await this.#driver.transaction(async (transactionConnection) => {
+        for (const [setting, value] of settings) {
+          await transactionConnection.query(
+            `SET LOCAL ${setting} = ${quoteLiteral(value)};`
+          );
+        }
+        await transactionConnection.query(transactionSql);
+        await transactionConnection.query(
+          bookkeepingQuery.text,
+          bookkeepingQuery.values
+        );
+      });
+      return;
+    }
+
+    // Each statement commits on its own, the migration is only recorded once
+    // all of them succeeded
+    const statements = splitSqlStatements(fileContent);
+    for (const [setting, value] of settings) {
+      await this.#driver.query(`SET ${setting} = ${quoteLiteral(value)};`);
+    }
+
+    try {
+      for (const [i, statement] of statements.entries()) {
+        try {
+          await this.#driver.query(statement);
+        } catch (err) {
+          throw new Error(
+            `Non-transactional migration ${filename} failed on statement ${
+              i + 1
+            } of ${statements.length}, ${
+              ["no statement was applied", "statement 1 stays applied"][i] ||
+              `statements 1 to ${i} stay applied`
+            } and the migration is not recorded: ${err.message}`,
+            { cause: err }
+          );
+        }
+      }
+
+      try {
+        await this.#driver.query(
+          bookkeepingQuery.text,
+          bookkeepingQuery.values
+        );
+      } catch (err) {
+        throw new Error(
+          `Non-transactional migration ${filename} was applied but could not be recorded: ${err.message}`,
+          { cause: err }
+        );
+      }
+    } finally {
+      for (const [setting] of settings) {
+        await this.#driver.query(`RESET ${setting};`);
+      }
+    }
   }
 }
 
@@ -445,6 +1788,54 @@ function generateChecksum(str, algorithm = "md5", encoding = "hex") {
   return crypto.createHash(algorithm).update(str, "utf8").digest(encoding);
 }
 
+// Directives of squashed files are replaced by those of the squash migration
+function stripDirectives(sqlContent) {
+  return sqlContent.replace(/^\s*--\s*sql-mirror:.*(\n|$)/gm, "").trim();
+}
+
+// The ALTER TYPE ... ADD VALUE IF NOT EXISTS statements leading a migration
+// file, and the rest of it. Those can run again when the migration failed
+// after them, unlike RENAME VALUE which stays in the transaction
+function splitEnumValueStatements(fileContent) {
+  const enumValueStatements = [];
+  let position = 0;
+
+  for (const statement of splitSqlStatements(fileContent)) {
+    const text = statement.replace(
+      /^(\s*(--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/))*\s*/,
+      ""
+    );
+    if (
+      !/^ALTER\s+TYPE\s[\s\S]*\sADD\s+VALUE\s+IF\s+NOT\s+EXISTS\s/i.test(text)
+    ) {
+      break;
+    }
+
+    enumValueStatements.push(statement);
+    position = fileContent.indexOf(statement, position) + statement.length;
+  }
+
+  return { enumValueStatements, transactionSql: fileContent.slice(position) };
+}
+
+function isRepeatableType(type) {
+  return type === "repeatable" || type === "repeatableConfig";
+}
+
+function getLastVersion(migrations) {
+  return migrations
+    .map((migration) => migration.version)
+    .sort(semver.rcompare)[0];
+}
+
+function quoteIdentifier(identifier) {
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
 function splitAtIndex(str, index) {
   const result = [str.slice(0, index), str.slice(index)];
 
@@ -0,0 +1,18 @@
+import postgres from "./postgres.js";
+import sqlite from "./sqlite.js";
+import mysql from "./mysql.js";
+
+const DIALECTS = { postgres, sqlite, mysql };
+
+export default function getDialect(dialectName = "postgres") {
+  const dialect = DIALECTS[dialectName];
+  if (!dialect) {
+    throw new Error(
+      `Unknown dialect "${dialectName}", expected one of: ${Object.keys(
+        DIALECTS
+      ).join(", ")}`
+    );
+  }
+
+  return dialect;
+}
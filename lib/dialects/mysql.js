@@ -0,0 +1,202 @@
+import sql, {
+  getIndexName,
+  formatIndexColumn,
+  formatReferenceOptions,
+} from "../sql.js";
+import translateColumn from "./translateColumn.js";
+import unsupportedChunkError, {
+  getChunkName,
+} from "./unsupportedChunkError.js";
+
+const TYPES = [
+  [/^uuid$/i, "CHAR(36)"],
+  [/^(timestamp with time zone|timestamptz)$/i, "TIMESTAMP"],
+  [/^(smallserial|bigserial)$/i, "SERIAL"],
+  [/^jsonb?$/i, "JSON"],
+  [/^bytea$/i, "BLOB"],
+];
+
+// uuids default to UUID() and updated_at uses ON UPDATE CURRENT_TIMESTAMP
+const TRANSLATED_EXTENSIONS = ["uuid-ossp", "moddatetime"];
+
+function quoteIdentifier(identifier) {
+  return `\`${identifier}\``;
+}
+
+function translateMysqlColumn(column) {
+  // InnoDB ignores inline REFERENCES, they are rendered as table constraints
+  return translateColumn(column, {
+    quoteIdentifier,
+    types: TYPES,
+    uuidDefault: "(UUID())",
+    inlineReferences: false,
+  });
+}
+
+export default {
+  name: "mysql",
+  beginTransaction: "START TRANSACTION;",
+  commitTransaction: "COMMIT;",
+  // An index backing a foreign key cannot be dropped before it, the indexes
+  // of a dropped table go with it
+  dropIndexesWithTable: true,
+  table(tableName, columns = [], constraints = [], { disableId = false } = {}) {
+    const idColumns = disableId ? [] : [sql.column.id(tableName)];
+    const translatedColumns = [...idColumns, ...columns].map(
+      translateMysqlColumn
+    );
+
+    if (
+      translatedColumns.find((column) => /DEFERRABLE/i.test(column.references))
+    ) {
+      throw unsupportedChunkError("mysql", "deferrable reference", tableName);
+    }
+
+    const foreignKeys = translatedColumns
+      .filter((column) => column.references)
+      .map(
+        (column) =>
+          `FOREIGN KEY (${quoteIdentifier(column.name)}) REFERENCES ${
+            column.references
+          }`
+      );
+
+    return {
+      up: `CREATE TABLE IF NOT EXISTS ${quoteIdentifier(tableName)} (\n    ${[
+        ...translatedColumns.map((column) => column.definition),
+        ...foreignKeys,
+        ...constraints,
+      ].join(",\n    ")}\n);`,
+      down: `DROP TABLE IF EXISTS ${quoteIdentifier(tableName)};`,
+    };
+  },
+  alterTable(tableName) {
+    throw unsupportedChunkError("mysql", "schema diffing", tableName);
+  },
+  foreignKey(
+    tableName,
+    columnNames,
+    tableNameRef,
+    columnNamesRef,
+    { name, ...referenceOptions } = {}
+  ) {
+    if (referenceOptions.deferrable || referenceOptions.initiallyDeferred) {
+      throw unsupportedChunkError("mysql", "deferrable reference", tableName);
+    }
+
+    const foreignKeyName = name || `${tableName}_${columnNames.join("_")}_fkey`;
+    const constraint = `CONSTRAINT ${quoteIdentifier(
+      foreignKeyName
+    )} FOREIGN KEY (${columnNames
+      .map(quoteIdentifier)
+      .join(", ")}) REFERENCES ${quoteIdentifier(tableNameRef)}(${columnNamesRef
+      .map(quoteIdentifier)
+      .join(", ")})${formatReferenceOptions(referenceOptions)}`;
+
+    return {
+      name: foreignKeyName,
+      constraint,
+      up: `ALTER TABLE ${quoteIdentifier(tableName)} ADD ${constraint};`,
+      down: `ALTER TABLE ${quoteIdentifier(
+        tableName
+      )} DROP FOREIGN KEY ${quoteIdentifier(foreignKeyName)};`,
+    };
+  },
+  index(tableName, columns, { unique = false, where, using, name } = {}) {
+    if (where) {
+      throw unsupportedChunkError("mysql", "partial index", tableName);
+    }
+
+    if (using && !["btree", "hash"].includes(using.toLowerCase())) {
+      throw unsupportedChunkError(
+        "mysql",
+        `index method "${using}"`,
+        tableName
+      );
+    }
+
+    const indexColumns = Array.isArray(columns) ? columns : [columns];
+    const indexName = name || getIndexName(tableName, indexColumns, { unique });
+
+    return {
+      name: indexName,
+      up: `CREATE${unique ? " UNIQUE" : ""} INDEX ${quoteIdentifier(
+        indexName
+      )} ON ${quoteIdentifier(tableName)} (${indexColumns
+        .map((column) => formatIndexColumn(column, "`"))
+        .join(", ")})${using ? ` USING ${using.toUpperCase()}` : ""};`,
+      down: `DROP INDEX ${quoteIdentifier(indexName)} ON ${quoteIdentifier(
+        tableName
+      )};`,
+    };
+  },
+  view(name, query, { columns } = {}) {
+    const viewColumns = columns
+      ? ` (${columns.map(quoteIdentifier).join(", ")})`
+      : "";
+    const { up } = sql.view(name, query);
+
+    return {
+      name,
+      up: `CREATE OR REPLACE VIEW ${quoteIdentifier(
+        name
+      )}${viewColumns} AS${up.slice(up.indexOf("\n"))}`,
+      down: `DROP VIEW IF EXISTS ${quoteIdentifier(name)};`,
+    };
+  },
+  materializedView(name) {
+    throw unsupportedChunkError("mysql", `materialized view "${name}"`);
+  },
+  schema(name) {
+    throw unsupportedChunkError("mysql", `schema "${name}"`);
+  },
+  extension(extension, { tableName } = {}) {
+    if (TRANSLATED_EXTENSIONS.includes(extension.name)) {
+      return { up: "", down: "" };
+    }
+
+    throw unsupportedChunkError(
+      "mysql",
+      `extension "${extension.name}"`,
+      tableName
+    );
+  },
+  function(sqlFunction) {
+    throw unsupportedChunkError(
+      "mysql",
+      `function "${getChunkName(sqlFunction, /FUNCTION\s+"?(\w+)/i)}"`
+    );
+  },
+  type(sqlType, { tableName } = {}) {
+    throw unsupportedChunkError(
+      "mysql",
+      `type "${getChunkName(sqlType, /TYPE\s+"?(\w+)/i)}"`,
+      tableName
+    );
+  },
+  alterEnum(name) {
+    throw unsupportedChunkError("mysql", `enum "${name}"`);
+  },
+  trigger(pluginTrigger, tableName, tableColumns) {
+    const updatedAtColumn = tableColumns.find((column) =>
+      column.startsWith("updated_at ")
+    );
+
+    if (pluginTrigger !== sql.trigger.updated_at_on_table || !updatedAtColumn) {
+      throw unsupportedChunkError(
+        "mysql",
+        `trigger "${pluginTrigger.name}"`,
+        tableName
+      );
+    }
+
+    const { definition } = translateMysqlColumn(updatedAtColumn);
+
+    return {
+      up: `ALTER TABLE ${quoteIdentifier(
+        tableName
+      )} MODIFY COLUMN ${definition} NULL ON UPDATE CURRENT_TIMESTAMP;`,
+      down: "",
+    };
+  },
+};
@@ -0,0 +1,50 @@
+import sql from "../sql.js";
+
+export default {
+  name: "postgres",
+  beginTransaction: "BEGIN TRANSACTION;",
+  commitTransaction: "COMMIT TRANSACTION;",
+  table(tableName, columns, constraints, options) {
+    return sql.table(tableName, columns, constraints, options);
+  },
+  alterTable(tableName, previousTable, table) {
+    return sql.alterTable(tableName, previousTable, table);
+  },
+  foreignKey(tableName, columnNames, tableNameRef, columnNamesRef, options) {
+    return sql.foreignKey(
+      tableName,
+      columnNames,
+      tableNameRef,
+      columnNamesRef,
+      options
+    );
+  },
+  index(tableName, columns, options) {
+    return sql.index(tableName, columns, options);
+  },
+  view(name, query, options) {
+    return sql.view(name, query, options);
+  },
+  materializedView(name, query, options) {
+    return sql.materializedView(name, query, options);
+  },
+  schema(name) {
+    // public always exists
+    return name === "public" ? { up: "", down: "" } : sql.schema(name);
+  },
+  extension(extension) {
+    return extension;
+  },
+  function(sqlFunction) {
+    return sqlFunction;
+  },
+  type(sqlType) {
+    return sqlType;
+  },
+  alterEnum(name, previousValues, values, options) {
+    return sql.alterEnum(name, previousValues, values, options);
+  },
+  trigger(pluginTrigger, tableName, tableColumns) {
+    return pluginTrigger(tableName, tableColumns);
+  },
+};
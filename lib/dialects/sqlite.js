@@ -0,0 +1,128 @@
+import sql from "../sql.js";
+import translateColumn from "./translateColumn.js";
+import unsupportedChunkError, {
+  getChunkName,
+} from "./unsupportedChunkError.js";
+
+const TYPES = [
+  [/^uuid$/i, "TEXT"],
+  [/^(timestamp with time zone|timestamptz)$/i, "TIMESTAMP"],
+  [/^(smallserial|serial|bigserial)$/i, "INTEGER"],
+  [/^jsonb?$/i, "TEXT"],
+  [/^bytea$/i, "BLOB"],
+];
+
+// uuids are generated app-side and updated_at is maintained by a trigger
+const TRANSLATED_EXTENSIONS = ["uuid-ossp", "moddatetime"];
+
+function quoteIdentifier(identifier) {
+  return `"${identifier}"`;
+}
+
+export default {
+  name: "sqlite",
+  beginTransaction: "BEGIN TRANSACTION;",
+  commitTransaction: "COMMIT TRANSACTION;",
+  table(tableName, columns = [], constraints = [], { disableId = false } = {}) {
+    const idColumns = disableId ? [] : [sql.column.id(tableName)];
+    const columnsFormatted = [...idColumns, ...columns].map(
+      (column) =>
+        translateColumn(column, { quoteIdentifier, types: TYPES }).definition
+    );
+
+    return {
+      up: `CREATE TABLE IF NOT EXISTS "${tableName}" (\n    ${[
+        ...columnsFormatted,
+        ...constraints,
+      ].join(",\n    ")}\n);`,
+      down: `DROP TABLE IF EXISTS "${tableName}";`,
+    };
+  },
+  alterTable(tableName) {
+    throw unsupportedChunkError("sqlite", "schema diffing", tableName);
+  },
+  // SQLite cannot add constraints to existing tables
+  foreignKey(tableName, columnNames, tableNameRef, columnNamesRef, options) {
+    const { name, constraint } = sql.foreignKey(
+      tableName,
+      columnNames,
+      tableNameRef,
+      columnNamesRef,
+      options
+    );
+
+    return { name, constraint, up: null, down: null };
+  },
+  index(tableName, columns, options = {}) {
+    if (options.using) {
+      throw unsupportedChunkError(
+        "sqlite",
+        `index method "${options.using}"`,
+        tableName
+      );
+    }
+
+    return sql.index(tableName, columns, options);
+  },
+  view(name, query, { columns } = {}) {
+    const { up, down } = sql.view(name, query, { columns });
+    return {
+      name,
+      up: up.replace("OR REPLACE VIEW", "VIEW IF NOT EXISTS"),
+      down,
+    };
+  },
+  materializedView(name) {
+    throw unsupportedChunkError("sqlite", `materialized view "${name}"`);
+  },
+  schema(name) {
+    throw unsupportedChunkError("sqlite", `schema "${name}"`);
+  },
+  extension(extension, { tableName } = {}) {
+    if (TRANSLATED_EXTENSIONS.includes(extension.name)) {
+      return { up: "", down: "" };
+    }
+
+    throw unsupportedChunkError(
+      "sqlite",
+      `extension "${extension.name}"`,
+      tableName
+    );
+  },
+  function(sqlFunction) {
+    throw unsupportedChunkError(
+      "sqlite",
+      `function "${getChunkName(sqlFunction, /FUNCTION\s+"?(\w+)/i)}"`
+    );
+  },
+  type(sqlType, { tableName } = {}) {
+    throw unsupportedChunkError(
+      "sqlite",
+      `type "${getChunkName(sqlType, /TYPE\s+"?(\w+)/i)}"`,
+      tableName
+    );
+  },
+  alterEnum(name) {
+    throw unsupportedChunkError("sqlite", `enum "${name}"`);
+  },
+  trigger(pluginTrigger, tableName) {
+    if (pluginTrigger !== sql.trigger.updated_at_on_table) {
+      throw unsupportedChunkError(
+        "sqlite",
+        `trigger "${pluginTrigger.name}"`,
+        tableName
+      );
+    }
+
+    return {
+      up: sql`
+        CREATE TRIGGER "handle_updated_at_${tableName}" AFTER UPDATE ON "${tableName}"
+        FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+        BEGIN
+        UPDATE "${tableName}" SET updated_at = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+        END;
+      `,
+      down: sql`DROP TRIGGER IF EXISTS "handle_updated_at_${tableName}";`,
+    };
+  },
+};
@@ -0,0 +1,64 @@
+import parseColumnDefinition from "../parseColumnDefinition.js";
+
+const NOW_DEFAULTS = ["now()", "(now())", "current_timestamp"];
+const UUID_DEFAULTS = [
+  "uuid_generate_v4 ()",
+  "uuid_generate_v4()",
+  "gen_random_uuid()",
+];
+
+// Render a Postgres column definition with another dialect's types and quoting
+export default function translateColumn(
+  column,
+  { quoteIdentifier, types, uuidDefault = null, inlineReferences = true }
+) {
+  const parsedColumn = parseColumnDefinition(column);
+
+  const typeMapping = types.find(([pattern]) =>
+    pattern.test(parsedColumn.type)
+  );
+  const type = typeMapping ? typeMapping[1] : parsedColumn.type;
+
+  let defaultValue = parsedColumn.defaultValue;
+  if (defaultValue && NOW_DEFAULTS.includes(defaultValue.toLowerCase())) {
+    defaultValue = "CURRENT_TIMESTAMP";
+  } else if (defaultValue && UUID_DEFAULTS.includes(defaultValue)) {
+    defaultValue = uuidDefault;
+  }
+
+  let references = null;
+  if (parsedColumn.references) {
+    const match = parsedColumn.references.match(
+      /^"?([^"(\s]+)"?\s*\(\s*"?([^")]+)"?\s*\)\s*(.*)$/
+    );
+    if (!match) {
+      throw new Error(
+        `Cannot translate references "${parsedColumn.references}" of column "${parsedColumn.name}"`
+      );
+    }
+
+    const [, tableNameRef, columnNameRef, referenceOptions] = match;
+    references = `${quoteIdentifier(tableNameRef)}(${quoteIdentifier(
+      columnNameRef
+    )})${referenceOptions ? ` ${referenceOptions}` : ""}`;
+  }
+
+  const definition = [
+    quoteIdentifier(parsedColumn.name),
+    type,
+    parsedColumn.primaryKey ? "PRIMARY KEY" : "",
+    parsedColumn.notNull ? "NOT NULL" : "",
+    defaultValue ? `DEFAULT ${defaultValue}` : "",
+    parsedColumn.unique ? "UNIQUE" : "",
+    references && inlineReferences ? `REFERENCES ${references}` : "",
+    ...parsedColumn.constraints,
+  ]
+    .filter((part) => part)
+    .join(" ");
+
+  return {
+    name: parsedColumn.name,
+    definition,
+    references,
+  };
+}
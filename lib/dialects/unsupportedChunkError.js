@@ -0,0 +1,10 @@
+export default function unsupportedChunkError(dialectName, chunk, tableName) {
+  const location = tableName ? ` (table "${tableName}")` : "";
+  return new Error(
+    `Dialect "${dialectName}" does not support ${chunk}${location}`
+  );
+}
+
+export function getChunkName(sqlChunk, pattern) {
+  return sqlChunk.up.match(pattern)?.[1] || sqlChunk.up.split("\n")[0];
+}
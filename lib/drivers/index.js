@@ -0,0 +1,38 @@
+import createSlonikDriver from "./slonik.js";
+import createPgDriver from "./pg.js";
+import createPgliteDriver from "./pglite.js";
+
+const DRIVERS = {
+  slonik: createSlonikDriver,
+  pg: createPgDriver,
+  pglite: createPgliteDriver,
+};
+
+export default function createDriver(driverName = "slonik", databaseURL) {
+  const createDriverFn = DRIVERS[driverName];
+  if (!createDriverFn) {
+    throw new Error(
+      `Unknown driver "${driverName}", expected one of: ${Object.keys(
+        DRIVERS
+      ).join(", ")}`
+    );
+  }
+
+  if (typeof databaseURL !== "function") {
+    return createDriverFn(databaseURL);
+  }
+
+  // A databaseURL function is called on connect
+  let driver;
+  return {
+    async connect() {
+      driver = createDriverFn(databaseURL());
+      await driver.connect();
+    },
+    query: (text, values) => driver.query(text, values),
+    transaction: (fn) => driver.transaction(fn),
+    close: () => driver.close(),
+  };
+}
+
+export { createSlonikDriver, createPgDriver, createPgliteDriver };
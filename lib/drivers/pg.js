@@ -0,0 +1,37 @@
+import pg from "pg";
+
+export default function createPgDriver(databaseURL) {
+  let client;
+
+  async function query(text, values = []) {
+    // Without values pg uses the simple protocol, allowing multiple statements
+    const result = await client.query(
+      text,
+      values.length > 0 ? values : undefined
+    );
+    return { rows: result.rows, rowCount: result.rowCount };
+  }
+
+  return {
+    async connect() {
+      client = new pg.Client({ connectionString: databaseURL });
+      await client.connect();
+    },
+    query,
+    async transaction(fn) {
+      await client.query("BEGIN");
+      try {
+        const result = await fn({ query });
+        await client.query("COMMIT");
+        return result;
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      }
+    },
+    async close() {
+      await client.end();
+      client = null;
+    },
+  };
+}
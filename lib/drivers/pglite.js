@@ -0,0 +1,60 @@
+// In-process Postgres, for tests and CI without a database server.
+// Pass a PGlite instance to keep an in-memory database across runs
+export default function createPgliteDriver(dataDirOrInstance) {
+  const ownsDatabase =
+    !dataDirOrInstance || typeof dataDirOrInstance === "string";
+  let db = ownsDatabase ? null : dataDirOrInstance;
+
+  function createQueryable(executor) {
+    return {
+      async query(text, values = []) {
+        // exec runs multiple statements but does not take parameters
+        if (values.length === 0) {
+          const results = await executor.exec(text);
+          const lastResult = results[results.length - 1];
+          return {
+            rows: lastResult?.rows || [],
+            rowCount: lastResult?.affectedRows || lastResult?.rows.length || 0,
+          };
+        }
+
+        const result = await executor.query(text, values);
+        return {
+          rows: result.rows,
+          rowCount: result.affectedRows || result.rows.length,
+        };
+      },
+    };
+  }
+
+  return {
+    async connect() {
+      if (!ownsDatabase) {
+        return;
+      }
+
+      const { PGlite } = await import("@electric-sql/pglite");
+      const { uuid_ossp } = await import(
+        "@electric-sql/pglite/contrib/uuid_ossp"
+      );
+      const { moddatetime } = await import(
+        "@electric-sql/pglite/contrib/moddatetime"
+      );
+      db = new PGlite(dataDirOrInstance, {
+        extensions: { uuid_ossp, moddatetime },
+      });
+    },
+    async query(text, values) {
+      return createQueryable(db).query(text, values);
+    },
+    async transaction(fn) {
+      return db.transaction((tx) => fn(createQueryable(tx)));
+    },
+    async close() {
+      if (ownsDatabase) {
+        await db.close();
+        db = null;
+      }
+    },
+  };
+}
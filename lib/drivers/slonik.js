@@ -0,0 +1,51 @@
+import { createPool } from "slonik";
+
+// Holds one pool connection from connect() to close()
+export default function createSlonikDriver(databaseURL) {
+  let pool;
+  let connection;
+  let releaseConnection;
+  let connectionReleased;
+
+  function createQueryable(slonikConnection) {
+    return {
+      async query(text, values = []) {
+        const result = await slonikConnection.query({ sql: text, values });
+        return { rows: result.rows, rowCount: result.rowCount };
+      },
+    };
+  }
+
+  return {
+    async connect() {
+      pool = await createPool(databaseURL);
+
+      await new Promise((resolve, reject) => {
+        connectionReleased = pool
+          .connect((poolConnection) => {
+            connection = poolConnection;
+            resolve();
+            return new Promise((release) => {
+              releaseConnection = release;
+            });
+          })
+          .catch(reject);
+      });
+    },
+    async query(text, values) {
+      return createQueryable(connection).query(text, values);
+    },
+    async transaction(fn) {
+      return connection.transaction((transactionConnection) =>
+        fn(createQueryable(transactionConnection))
+      );
+    },
+    async close() {
+      releaseConnection();
+      await connectionReleased;
+      await pool.end();
+      pool = null;
+      connection = null;
+    },
+  };
+}
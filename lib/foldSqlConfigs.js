@@ -0,0 +1,54 @@
+export default function foldSqlConfigs(sqlFileConfigs) {
+  const foldedConfig = {
+    extensions: [],
+    functions: [],
+    tables: [],
+    views: [],
+    materializedViews: [],
+  };
+
+  for (const sqlFileConfig of sqlFileConfigs) {
+    const { extensions = [], functions = [] } = sqlFileConfig;
+
+    for (const extension of extensions) {
+      if (!foldedConfig.extensions.find((ext) => ext.name === extension.name)) {
+        foldedConfig.extensions.push(extension);
+      }
+    }
+
+    // A named function declared again replaces its previous definition
+    for (const sqlFunction of functions) {
+      const functionIndex = foldedConfig.functions.findIndex(
+        (fn) =>
+          fn.up === sqlFunction.up ||
+          (sqlFunction.name &&
+            fn.name === sqlFunction.name &&
+            fn.schema === sqlFunction.schema)
+      );
+      if (functionIndex === -1) {
+        foldedConfig.functions.push(sqlFunction);
+      } else {
+        foldedConfig.functions[functionIndex] = sqlFunction;
+      }
+    }
+
+    // A table or view declared again in the same schema replaces its
+    // previous definition
+    for (const configKey of ["tables", "views", "materializedViews"]) {
+      for (const entity of sqlFileConfig[configKey] || []) {
+        const entityIndex = foldedConfig[configKey].findIndex(
+          (foldedEntity) =>
+            foldedEntity.name === entity.name &&
+            foldedEntity.schema === entity.schema
+        );
+        if (entityIndex === -1) {
+          foldedConfig[configKey].push(entity);
+        } else {
+          foldedConfig[configKey][entityIndex] = entity;
+        }
+      }
+    }
+  }
+
+  return foldedConfig;
+}
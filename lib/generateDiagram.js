@@ -0,0 +1,362 @@
+import sql, { splitQualifiedName } from "./sql.js";
+import parseColumnDefinition from "./parseColumnDefinition.js";
+import { getTableColumns } from "./generateSqlFileContent.js";
+import qualifySqlConfig from "./qualifySqlConfig.js";
+
+export const DIAGRAM_FORMATS = ["mermaid", "dbml", "dot"];
+
+// An entity-relationship diagram of the tables of a config, with the columns
+// sql-mirror adds and one edge per reference. A reference is one-to-one when
+// its columns are unique, and optional when they are nullable. Tables
+// without schema go to the default one
+export default function generateDiagram(
+  sqlFileConfig,
+  { format = "mermaid", schema } = {}
+) {
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    throw new Error(
+      `Unknown diagram format "${format}", expected one of: ${DIAGRAM_FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+
+  const { tables = [] } = qualifySqlConfig(sqlFileConfig, { schema });
+  const entities = tables.map(getEntity);
+
+  return renderer(entities, getRelationships(tables, entities));
+}
+
+function getEntity(table) {
+  const tableColumns = getTableColumns(table);
+  if (!table.options?.disableId) {
+    tableColumns.unshift(sql.column.id(table.name));
+  }
+
+  // Composite primary keys are table constraints
+  const primaryKeyColumns = (table.constraints || []).flatMap((constraint) => {
+    const match = constraint.match(
+      /^(?:CONSTRAINT\s+\S+\s+)?PRIMARY\s+KEY\s*\(([^)]*)\)/i
+    );
+    return match ? splitColumnList(match[1]) : [];
+  });
+
+  const columns = tableColumns.map((column) => {
+    const parsedColumn = parseColumnDefinition(column);
+    const primaryKey =
+      parsedColumn.primaryKey || primaryKeyColumns.includes(parsedColumn.name);
+
+    return {
+      name: parsedColumn.name,
+      type: parsedColumn.type,
+      primaryKey,
+      unique: parsedColumn.unique,
+      notNull: parsedColumn.notNull || primaryKey,
+      defaultValue: parsedColumn.defaultValue,
+      references: parseReferencesClause(parsedColumn.references),
+    };
+  });
+
+  return {
+    name: table.name,
+    columns,
+    primaryKeyColumns: columns
+      .filter((column) => column.primaryKey)
+      .map((column) => column.name),
+    uniqueColumnSets: getUniqueColumnSets(table, columns),
+  };
+}
+
+// "auth"."user"(user_id) ON DELETE CASCADE -> auth.user and user_id
+function parseReferencesClause(referencesClause) {
+  const match = referencesClause?.match(
+    /^((?:"[^"]+"|\w+)(?:\.(?:"[^"]+"|\w+))?)\s*\(([^)]*)\)/
+  );
+  if (!match) {
+    return null;
+  }
+
+  return {
+    tableNameRef: match[1].replace(/"/g, ""),
+    columnNameRef: match[2].replace(/"/g, "").trim(),
+  };
+}
+
+// Columns, constraints and indexes making a set of columns unique
+function getUniqueColumnSets(table, columns) {
+  const uniqueColumnSets = columns
+    .filter((column) => column.primaryKey || column.unique)
+    .map((column) => [column.name]);
+
+  for (const constraint of table.constraints || []) {
+    const match = constraint.match(
+      /^(?:CONSTRAINT\s+\S+\s+)?(?:UNIQUE|PRIMARY\s+KEY)\s*\(([^)]*)\)/i
+    );
+    if (match) {
+      uniqueColumnSets.push(splitColumnList(match[1]));
+    }
+  }
+
+  for (const index of table.indexes || []) {
+    if (index?.unique && !index.where) {
+      const indexColumns = Array.isArray(index.columns)
+        ? index.columns
+        : [index.columns];
+      if (indexColumns.every((column) => typeof column === "string")) {
+        uniqueColumnSets.push(indexColumns);
+      }
+    }
+  }
+
+  return uniqueColumnSets;
+}
+
+function splitColumnList(columnList) {
+  return columnList.split(",").map((column) => column.replace(/"/g, "").trim());
+}
+
+// Inline REFERENCES columns and composite references, from the referencing
+// table to the referenced one
+function getRelationships(tables, entities) {
+  const relationships = [];
+
+  tables.forEach((table, i) => {
+    const entity = entities[i];
+
+    for (const column of entity.columns) {
+      if (column.references) {
+        relationships.push({
+          tableName: table.name,
+          columnNames: [column.name],
+          tableNameRef: column.references.tableNameRef,
+          columnNamesRef: [column.references.columnNameRef],
+        });
+      }
+    }
+
+    for (const reference of table.references || []) {
+      if (reference.columnNames) {
+        relationships.push({
+          tableName: table.name,
+          columnNames: reference.columnNames,
+          tableNameRef: reference.tableNameRef,
+          columnNamesRef: reference.columnNamesRef || [
+            `${splitQualifiedName(reference.tableNameRef).name}_id`,
+          ],
+        });
+      }
+    }
+  });
+
+  return relationships.map((relationship) => {
+    const entity = entities.find(
+      (entity) => entity.name === relationship.tableName
+    );
+    const columns = entity.columns.filter((column) =>
+      relationship.columnNames.includes(column.name)
+    );
+
+    return {
+      ...relationship,
+      optional: columns.some((column) => !column.notNull),
+      oneToOne: entity.uniqueColumnSets.some((uniqueColumns) =>
+        uniqueColumns.every((columnName) =>
+          relationship.columnNames.includes(columnName)
+        )
+      ),
+    };
+  });
+}
+
+function getColumnKeys(entity, column, relationships) {
+  const keys = [];
+  if (column.primaryKey) {
+    keys.push("PK");
+  }
+  if (
+    relationships.some(
+      (relationship) =>
+        relationship.tableName === entity.name &&
+        relationship.columnNames.includes(column.name)
+    )
+  ) {
+    keys.push("FK");
+  }
+  if (column.unique) {
+    keys.push("UK");
+  }
+
+  return keys;
+}
+
+const RENDERERS = {
+  mermaid: renderMermaid,
+  dbml: renderDbml,
+  dot: renderDot,
+};
+
+function renderMermaid(entities, relationships) {
+  function formatName(name) {
+    return /^[A-Za-z_][\w-]*$/.test(name) ? name : `"${name}"`;
+  }
+
+  const lines = ["erDiagram"];
+
+  for (const entity of entities) {
+    lines.push(`  ${formatName(entity.name)} {`);
+    for (const column of entity.columns) {
+      const keys = getColumnKeys(entity, column, relationships);
+      lines.push(
+        `    ${column.type.replace(/\s+/g, "_").replace(/"/g, "")} ${
+          column.name
+        }${keys.length > 0 ? ` ${keys.join(", ")}` : ""}${
+          column.notNull || column.primaryKey ? "" : ' "nullable"'
+        }`
+      );
+    }
+    lines.push("  }");
+  }
+
+  // Referenced side first: exactly one, or zero or one when optional
+  for (const relationship of relationships) {
+    lines.push(
+      `  ${formatName(relationship.tableNameRef)} ${
+        relationship.optional ? "|o" : "||"
+      }--${relationship.oneToOne ? "o|" : "o{"} ${formatName(
+        relationship.tableName
+      )} : "${relationship.columnNames.join(", ")}"`
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function renderDbml(entities, relationships) {
+  function formatName(name) {
+    return name
+      .split(".")
+      .map((part) => (/^[A-Za-z_]\w*$/.test(part) ? part : `"${part}"`))
+      .join(".");
+  }
+
+  function formatColumnRef(tableName, columnNames) {
+    return columnNames.length === 1
+      ? `${formatName(tableName)}.${formatName(columnNames[0])}`
+      : `${formatName(tableName)}.(${columnNames.map(formatName).join(", ")})`;
+  }
+
+  const blocks = entities.map((entity) => {
+    const lines = [`Table ${formatName(entity.name)} {`];
+
+    // A composite primary key is declared as an index
+    const isCompositePrimaryKey = entity.primaryKeyColumns.length > 1;
+
+    for (const column of entity.columns) {
+      const settings = [];
+      if (column.primaryKey && !isCompositePrimaryKey) {
+        settings.push("pk");
+      }
+      if (column.unique) {
+        settings.push("unique");
+      }
+      if (column.notNull && (!column.primaryKey || isCompositePrimaryKey)) {
+        settings.push("not null");
+      }
+      if (column.defaultValue !== null) {
+        settings.push(`default: \`${column.defaultValue}\``);
+      }
+
+      const type = /^[\w()]+$/.test(column.type)
+        ? column.type
+        : `"${column.type.replace(/"/g, "")}"`;
+      lines.push(
+        `  ${formatName(column.name)} ${type}${
+          settings.length > 0 ? ` [${settings.join(", ")}]` : ""
+        }`
+      );
+    }
+
+    if (isCompositePrimaryKey) {
+      lines.push(
+        "",
+        "  indexes {",
+        `    (${entity.primaryKeyColumns.map(formatName).join(", ")}) [pk]`,
+        "  }"
+      );
+    }
+
+    lines.push("}");
+    return lines.join("\n");
+  });
+
+  // > is many-to-one and - one-to-one
+  const refs = relationships.map(
+    (relationship) =>
+      `Ref: ${formatColumnRef(
+        relationship.tableName,
+        relationship.columnNames
+      )} ${relationship.oneToOne ? "-" : ">"} ${formatColumnRef(
+        relationship.tableNameRef,
+        relationship.columnNamesRef
+      )}`
+  );
+
+  return (
+    [...blocks, ...(refs.length > 0 ? [refs.join("\n")] : [])].join("\n\n") +
+    "\n"
+  );
+}
+
+function renderDot(entities, relationships) {
+  function escapeHtml(str) {
+    return str
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  const lines = [
+    "digraph schema {",
+    "  rankdir=LR;",
+    '  node [shape=plaintext, fontname="Helvetica"];',
+    '  edge [dir=both, fontname="Helvetica"];',
+  ];
+
+  for (const entity of entities) {
+    const rows = entity.columns.map((column) => {
+      const keys = getColumnKeys(entity, column, relationships);
+      return `<tr><td port="${escapeHtml(column.name)}" align="left">${
+        keys.length > 0 ? `<b>${keys.join(", ")}</b> ` : ""
+      }${escapeHtml(column.name)}</td><td align="left">${escapeHtml(
+        column.type
+      )}${column.notNull ? "" : "?"}</td></tr>`;
+    });
+
+    lines.push(
+      `  ${JSON.stringify(
+        entity.name
+      )} [label=<<table border="0" cellborder="1" cellspacing="0"><tr><td colspan="2" bgcolor="lightgrey"><b>${escapeHtml(
+        entity.name
+      )}</b></td></tr>${rows.join("")}</table>>];`
+    );
+  }
+
+  // Crow's foot ends: the referenced table at the head, the referencing one
+  // at the tail
+  for (const relationship of relationships) {
+    lines.push(
+      `  ${JSON.stringify(relationship.tableName)}:${JSON.stringify(
+        relationship.columnNames[0]
+      )} -> ${JSON.stringify(relationship.tableNameRef)}:${JSON.stringify(
+        relationship.columnNamesRef[0]
+      )} [arrowhead=${
+        relationship.optional ? "teeodot" : "teetee"
+      }, arrowtail=${relationship.oneToOne ? "teeodot" : "crowodot"}];`
+    );
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,113 @@
+import parseColumnDefinition from "./parseColumnDefinition.js";
+import { quoteQualifiedName, splitQualifiedName } from "./sql.js";
+
+// Upsert rows into a table, keyed on key or on the natural key of the table
+export default function generateSeedSql(table, rows, { key } = {}) {
+  const conflictColumns = key ? [].concat(key) : getTableNaturalKey(table);
+  if (!conflictColumns) {
+    throw new Error(
+      `Table "${table.name}" has no natural key to upsert seed rows on, declare a UNIQUE column or export key from the seed`
+    );
+  }
+
+  const columnNames = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+  const missingKeyColumns = conflictColumns.filter(
+    (columnName) => !columnNames.includes(columnName)
+  );
+  if (missingKeyColumns.length > 0) {
+    throw new Error(
+      `Seed rows for table "${
+        table.name
+      }" miss the key columns ${missingKeyColumns.join(", ")}`
+    );
+  }
+
+  // Columns missing from a row fall back to their default
+  const values = [];
+  const valuesRows = rows.map(
+    (row) =>
+      `(${columnNames
+        .map((columnName) => {
+          if (!(columnName in row)) {
+            return "DEFAULT";
+          }
+          values.push(row[columnName]);
+          return `$${values.length}`;
+        })
+        .join(", ")})`
+  );
+
+  const updatedColumns = columnNames.filter(
+    (columnName) => !conflictColumns.includes(columnName)
+  );
+  const onConflict =
+    updatedColumns.length > 0
+      ? `DO UPDATE SET ${updatedColumns
+          .map(
+            (columnName) =>
+              `${quoteIdentifier(columnName)} = EXCLUDED.${quoteIdentifier(
+                columnName
+              )}`
+          )
+          .join(", ")}`
+      : "DO NOTHING";
+
+  return {
+    text: [
+      `INSERT INTO ${quoteQualifiedName(table.name)} (${columnNames
+        .map(quoteIdentifier)
+        .join(", ")})`,
+      `VALUES ${valuesRows.join(", ")}`,
+      `ON CONFLICT (${conflictColumns.map(quoteIdentifier).join(", ")})`,
+      `${onConflict};`,
+    ].join("\n"),
+    values,
+  };
+}
+
+// First UNIQUE column or UNIQUE constraint, then the primary key
+export function getTableNaturalKey(table) {
+  const { columns = [], constraints = [], options } = table;
+  const parsedColumns = columns.map((column) => parseColumnDefinition(column));
+
+  const uniqueColumn = parsedColumns.find((column) => column.unique);
+  if (uniqueColumn) {
+    return [uniqueColumn.name];
+  }
+
+  for (const constraint of constraints) {
+    const match = constraint.match(/\bUNIQUE\s*\(([^)]*)\)/i);
+    if (match) {
+      return splitColumnList(match[1]);
+    }
+  }
+
+  const primaryKeyColumn = parsedColumns.find((column) => column.primaryKey);
+  if (primaryKeyColumn) {
+    return [primaryKeyColumn.name];
+  }
+
+  for (const constraint of constraints) {
+    const match = constraint.match(/\bPRIMARY\s+KEY\s*\(([^)]*)\)/i);
+    if (match) {
+      return splitColumnList(match[1]);
+    }
+  }
+
+  if (!options?.disableId) {
+    return [`${splitQualifiedName(table.name).name}_id`];
+  }
+
+  return null;
+}
+
+function splitColumnList(str) {
+  return str
+    .split(",")
+    .map((column) => column.trim().replace(/^"(.*)"$/, "$1"));
+}
+
+function quoteIdentifier(identifier) {
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
@@ -1,167 +1,857 @@
 import { TopologicalSort } from "topological-sort";
-import sql from "./sql.js";
-
-export default function generateSqlFileContent(sqlFileConfig) {
-  const { extensions = [], functions = [], tables = [] } = sqlFileConfig;
+import sql, { splitQualifiedName } from "./sql.js";
+import parseColumnDefinition from "./parseColumnDefinition.js";
+import getDialect from "./dialects/index.js";
+import unsupportedChunkError from "./dialects/unsupportedChunkError.js";
+import validateSqlConfig from "./validateSqlConfig.js";
+import { formatMigrationDirectives } from "./parseMigrationDirectives.js";
+import qualifySqlConfig from "./qualifySqlConfig.js";
+
+// Entities without a schema go to schema when it is given, and stay
+// unqualified otherwise
+export default function generateSqlFileContent(
+  unqualifiedConfig,
+  {
+    previousConfig: unqualifiedPreviousConfig = {},
+    dialect: dialectName = "postgres",
+    schema,
+  } = {}
+) {
+  validateSqlConfig(unqualifiedConfig, {
+    previousConfig: unqualifiedPreviousConfig,
+    schema,
+  });
+
+  const sqlFileConfig = qualifySqlConfig(unqualifiedConfig, { schema });
+  const previousConfig = qualifySqlConfig(unqualifiedPreviousConfig, {
+    schema,
+  });
+
+  const dialect = getDialect(dialectName);
+  const { functions = [], tables = [] } = sqlFileConfig;
+  const { functions: previousFunctions = [], tables: previousTables = [] } =
+    previousConfig;
+
+  const previousSchemas = getAllSchemas(previousConfig);
+  const newSchemas = getAllSchemas(sqlFileConfig)
+    .filter((schemaName) => !previousSchemas.includes(schemaName))
+    .map((schemaName) => dialect.schema(schemaName));
+
+  const previousExtensions = getAllExtensions(previousConfig);
+  const allExtensions = getAllExtensions(sqlFileConfig).filter(
+    (extension) =>
+      !previousExtensions.find((ext) => ext.name === extension.name)
+  );
 
-  const allExtensions = [...extensions];
+  // Functions depending on other entities are sorted with them
+  const newFunctions = functions.filter(
+    (sqlFunction) =>
+      !sqlFunction.dependsOn?.length &&
+      !previousFunctions.find((fn) => fn.up === sqlFunction.up)
+  );
 
+  // Report untranslatable plugin extensions with the table using them
   for (const table of tables) {
     for (const plugin of table.plugins || []) {
-      if (plugin.extensions) {
-        for (const extension of plugin.extensions) {
-          if (!allExtensions.find((ext) => ext.name === extension.name)) {
-            allExtensions.push(extension);
-          }
-        }
+      for (const extension of plugin.extensions || []) {
+        dialect.extension(extension, { tableName: table.name });
       }
     }
   }
 
-  const sortedTables = sortTablesByReferences(tables);
+  const { cyclicReferences } = sortTablesByReferences(tables);
+  const sortedEntities = sortEntitiesByDependencies(
+    sqlFileConfig,
+    cyclicReferences
+  );
 
-  function getTableColumns(table) {
-    const { columns = [], references = [], plugins = [] } = table;
+  // Cycles are broken by adding these references once all tables exist, the
+  // references of existing tables that already exist are left as they are
+  const deferredCyclicReferences = cyclicReferences.filter(
+    ({ table, reference }) => isAddedReference(table, reference)
+  );
+  const cyclicForeignKeys = deferredCyclicReferences.map(
+    ({ table, reference }) => {
+      const foreignKey = getReferenceForeignKey(table.name, reference, dialect);
+      if (!foreignKey.up) {
+        throw unsupportedChunkError(
+          dialect.name,
+          `cyclic reference to "${reference.tableNameRef}"`,
+          table.name
+        );
+      }
 
-    const tableColumns = [];
+      return foreignKey;
+    }
+  );
+
+  function getDeferredReferences(table) {
+    return deferredCyclicReferences
+      .filter((cyclicReference) => cyclicReference.table === table)
+      .map((cyclicReference) => cyclicReference.reference);
+  }
+
+  function getPreviousTable(table) {
+    return previousTables.find(
+      (previousTable) => previousTable.name === table.name
+    );
+  }
 
-    // Add table reference columns
-    for (const reference of references || []) {
-      tableColumns.push(
-        sql.column.ref(reference.columnName, reference.tableNameRef, {
-          nullable: reference.nullable,
+  function isAddedReference(table, reference) {
+    const { constraint } = getReferenceForeignKey(
+      table.name,
+      reference,
+      dialect
+    );
+
+    return !(getPreviousTable(table)?.references || []).some(
+      (previousReference) =>
+        getReferenceForeignKey(table.name, previousReference, dialect)
+          .constraint === constraint
+    );
+  }
+
+  // Enums declared again with other values are altered in place, before the
+  // tables using them change in up and after they are reverted in down
+  const enumChanges = tables.flatMap((table) => {
+    const previousTable = getPreviousTable(table);
+
+    return (table.types || [])
+      .map((sqlType) => ({
+        sqlType,
+        previousType: previousTable?.types?.find((type) =>
+          isSameType(type, sqlType)
+        ),
+      }))
+      .filter(
+        ({ sqlType, previousType }) =>
+          sqlType.values &&
+          previousType?.values &&
+          previousType.up !== sqlType.up
+      )
+      .map(({ sqlType, previousType }) =>
+        dialect.alterEnum(sqlType.name, previousType.values, sqlType.values, {
+          renamedValues: sqlType.renamedValues,
+          columns: getEnumColumns(previousTables, sqlType.name),
         })
       );
+  });
+
+  // A changed entity is dropped and created again
+  function diffEntity({ kind, node }) {
+    const chunk = getEntityChunk(kind, node, dialect);
+    const previousEntity = (
+      previousConfig[ENTITY_CONFIG_KEYS[kind]] || []
+    ).find((entity) => entity.name === node.name);
+    if (!previousEntity) {
+      return chunk;
     }
 
-    // Add table own columns
-    tableColumns.push(...(columns || []));
-
-    // Add table plugin columns
-    for (const plugin of plugins) {
-      if (plugin.columns) {
-        tableColumns.push(...plugin.columns.map((column) => column()));
-      }
+    const previousChunk = getEntityChunk(kind, previousEntity, dialect);
+    if (previousChunk.up === chunk.up) {
+      return { up: "", down: "" };
     }
-    return tableColumns;
+
+    return {
+      up: `${previousChunk.down}\n${chunk.up}`,
+      down: `${chunk.down}\n${previousChunk.up}`,
+    };
   }
 
   function generateSqlUpFileContent() {
     let sqlUpFile = "";
 
+    for (const sqlSchema of newSchemas) {
+      sqlUpFile += appendLine(sqlSchema.up);
+    }
+
     for (const extension of allExtensions) {
-      sqlUpFile += extension.up + "\n";
+      sqlUpFile += appendLine(dialect.extension(extension).up);
     }
 
-    if (extensions.length > 0) {
+    if (allExtensions.length > 0) {
       sqlUpFile += "\n";
     }
 
-    for (const sqlFunction of functions) {
-      sqlUpFile += sqlFunction.up + "\n";
+    for (const sqlFunction of newFunctions) {
+      sqlUpFile += dialect.function(sqlFunction).up + "\n";
     }
-    if (functions.length > 0) {
+    if (newFunctions.length > 0) {
       sqlUpFile += "\n";
     }
 
-    for (const table of [...sortedTables].reverse()) {
-      const {
-        name: tableName,
-        types,
-        plugins = [],
-        constraints = [],
-        options,
-      } = table;
+    for (const enumChange of enumChanges) {
+      sqlUpFile += appendLine(enumChange.up);
+    }
+    if (enumChanges.length > 0) {
+      sqlUpFile += "\n";
+    }
 
-      const tableColumns = getTableColumns(table);
+    for (const entity of [...sortedEntities].reverse()) {
+      if (entity.kind !== "table") {
+        const entityDiff = diffEntity(entity);
+        if (entityDiff.up) {
+          sqlUpFile += entityDiff.up + "\n\n\n";
+        }
+        continue;
+      }
+
+      const table = entity.node;
+      const previousTable = getPreviousTable(table);
+      if (previousTable) {
+        const tableDiff = diffTable(
+          previousTable,
+          table,
+          dialect,
+          getDeferredReferences(table)
+        );
+        if (tableDiff.up) {
+          sqlUpFile += tableDiff.up + "\n\n\n";
+        }
+        continue;
+      }
+
+      const { name: tableName, types, plugins = [], options } = table;
+
+      const deferredReferences = getDeferredReferences(table);
+      const tableColumns = getTableColumns(table, deferredReferences);
+      const tableConstraints = getTableConstraints(
+        table,
+        dialect,
+        deferredReferences
+      );
 
       // Add table types
       for (const sqlType of types || []) {
-        sqlUpFile += sqlType.up + "\n";
+        sqlUpFile += dialect.type(sqlType, { tableName }).up + "\n";
       }
 
-      const sqlTable = sql.table(tableName, tableColumns, constraints, options);
+      const sqlTable = dialect.table(
+        tableName,
+        tableColumns,
+        tableConstraints,
+        options
+      );
 
       sqlUpFile += sqlTable.up + "\n";
 
       for (const plugin of plugins) {
         if (plugin.triggers) {
           for (const pluginTrigger of plugin.triggers) {
-            sqlUpFile += pluginTrigger(tableName, tableColumns).up + "\n";
+            sqlUpFile += appendLine(
+              dialect.trigger(pluginTrigger, tableName, tableColumns).up
+            );
           }
         }
       }
 
+      for (const sqlIndex of getTableIndexes(table, dialect)) {
+        sqlUpFile += sqlIndex.up + "\n";
+      }
+
       sqlUpFile += "\n\n";
     }
 
+    for (const foreignKey of cyclicForeignKeys) {
+      sqlUpFile += foreignKey.up + "\n";
+    }
+
+    // Raw SQL runs once everything else exists, and is reverted first
+    if (sqlFileConfig.raw?.up) {
+      sqlUpFile += "\n" + sqlFileConfig.raw.up.trim() + "\n";
+    }
+
     return sqlUpFile;
   }
 
   function generateSqlDownFileContent() {
     let sqlDownFile = "";
 
-    for (const table of sortedTables) {
+    if (sqlFileConfig.raw?.down) {
+      sqlDownFile += sqlFileConfig.raw.down.trim() + "\n\n";
+    }
+
+    for (const foreignKey of cyclicForeignKeys) {
+      sqlDownFile += foreignKey.down + "\n";
+    }
+    if (cyclicForeignKeys.length > 0) {
+      sqlDownFile += "\n";
+    }
+
+    for (const entity of sortedEntities) {
+      if (entity.kind !== "table") {
+        const entityDiff = diffEntity(entity);
+        if (entityDiff.down) {
+          sqlDownFile += entityDiff.down + "\n\n";
+        }
+        continue;
+      }
+
+      const table = entity.node;
+      const previousTable = getPreviousTable(table);
+      if (previousTable) {
+        const tableDiff = diffTable(
+          previousTable,
+          table,
+          dialect,
+          getDeferredReferences(table)
+        );
+        if (tableDiff.down) {
+          sqlDownFile += tableDiff.down + "\n\n";
+        }
+        continue;
+      }
+
       const { name: tableName, types = [], plugins = [], options } = table;
 
       const tableColumns = getTableColumns(table);
 
+      if (!dialect.dropIndexesWithTable) {
+        for (const sqlIndex of getTableIndexes(table, dialect)) {
+          sqlDownFile += sqlIndex.down + "\n";
+        }
+      }
+
       for (const plugin of plugins) {
         if (plugin.triggers) {
           for (const pluginTrigger of plugin.triggers) {
-            sqlDownFile += pluginTrigger(tableName, tableColumns).down + "\n";
+            sqlDownFile += appendLine(
+              dialect.trigger(pluginTrigger, tableName, tableColumns).down
+            );
           }
         }
       }
 
-      const sqlTable = sql.table(tableName, [], options);
+      const sqlTable = dialect.table(tableName, [], [], options);
       sqlDownFile += sqlTable.down + "\n";
 
       for (const sqlType of types || []) {
-        sqlDownFile += sqlType.down + "\n";
+        sqlDownFile += dialect.type(sqlType, { tableName }).down + "\n";
       }
 
       sqlDownFile += "\n";
     }
 
-    for (const sqlFunction of functions) {
-      sqlDownFile += sqlFunction.down + "\n";
+    for (const enumChange of [...enumChanges].reverse()) {
+      sqlDownFile += appendLine(enumChange.down);
+    }
+
+    for (const sqlFunction of newFunctions) {
+      sqlDownFile += dialect.function(sqlFunction).down + "\n";
     }
     sqlDownFile += "\n";
 
     for (const extension of allExtensions) {
-      sqlDownFile += extension.down + "\n";
+      sqlDownFile += appendLine(dialect.extension(extension).down);
+    }
+
+    for (const sqlSchema of [...newSchemas].reverse()) {
+      sqlDownFile += appendLine(sqlSchema.down);
     }
     sqlDownFile += "\n";
 
     return sqlDownFile;
   }
 
-  const generatorComment = `-- This file was generated via sql-mirror at ${new Date().toISOString()}\n`;
+  const generatorComment =
+    "-- This file was generated via sql-mirror\n" +
+    formatMigrationDirectives(sqlFileConfig.options);
 
   function wrapTransaction(sqlContent) {
-    return `BEGIN TRANSACTION;\n\n${sqlContent}\n\nCOMMIT TRANSACTION;`;
+    return `${dialect.beginTransaction}\n\n${sqlContent}\n\n${dialect.commitTransaction}`;
+  }
+
+  // ALTER TYPE ... ADD VALUE cannot run in a transaction block before
+  // Postgres 12, it runs ahead of it and the migrator commits it first
+  function prependAddValues(addValuesKey) {
+    const addValues = enumChanges
+      .map((enumChange) => enumChange[addValuesKey])
+      .filter((statements) => statements);
+
+    return addValues.length > 0 ? addValues.join("\n") + "\n\n" : "";
+  }
+
+  // Non-transactional migrations run statement by statement instead
+  const wrapContent =
+    sqlFileConfig.options?.transaction === false
+      ? (sqlContent) => sqlContent.trim() + "\n"
+      : wrapTransaction;
+
+  return {
+    up:
+      generatorComment +
+      prependAddValues("upAddValues") +
+      wrapContent(generateSqlUpFileContent()),
+    down:
+      generatorComment +
+      prependAddValues("downAddValues") +
+      wrapContent(generateSqlDownFileContent()),
+  };
+}
+
+// The functions and views of a repeatable migration, all created again with
+// CREATE OR REPLACE each time it is applied. There is no down file
+export function generateRepeatableSqlFileContent(
+  unqualifiedConfig,
+  { previousConfig = {}, dialect: dialectName = "postgres", schema } = {}
+) {
+  validateSqlConfig(unqualifiedConfig, {
+    previousConfig,
+    schema,
+    repeatable: true,
+  });
+
+  const sqlFileConfig = qualifySqlConfig(unqualifiedConfig, { schema });
+  const dialect = getDialect(dialectName);
+
+  const unsortedFunctions = (sqlFileConfig.functions || []).filter(
+    (sqlFunction) => !sqlFunction.dependsOn?.length
+  );
+  const sortedEntities = sortEntitiesByDependencies(sqlFileConfig, []);
+
+  const sqlContent = [
+    ...unsortedFunctions.map((sqlFunction) => dialect.function(sqlFunction).up),
+    ...[...sortedEntities]
+      .reverse()
+      .map(({ kind, node }) => getEntityChunk(kind, node, dialect).up),
+  ]
+    .filter((statement) => statement)
+    .join("\n\n");
+
+  const generatorComment =
+    "-- This file was generated via sql-mirror\n" +
+    formatMigrationDirectives(sqlFileConfig.options);
+
+  if (sqlFileConfig.options?.transaction === false) {
+    return generatorComment + sqlContent.trim() + "\n";
+  }
+
+  return (
+    generatorComment +
+    `${dialect.beginTransaction}\n\n${sqlContent}\n\n${dialect.commitTransaction}`
+  );
+}
+
+// Dialects translate some chunks to nothing
+function appendLine(statement) {
+  return statement ? statement + "\n" : "";
+}
+
+// Schemas of the entities of a qualified config
+function getAllSchemas(sqlFileConfig) {
+  const { tables = [], functions = [] } = sqlFileConfig;
+  const entities = [
+    ...tables,
+    ...tables.flatMap((table) => table.types || []),
+    ...(sqlFileConfig.views || []),
+    ...(sqlFileConfig.materializedViews || []),
+    ...functions,
+  ];
+
+  const schemas = entities.map((entity) =>
+    entity.name ? splitQualifiedName(entity.name).schema : entity.schema
+  );
+
+  return [...new Set(schemas.filter((schemaName) => schemaName))];
+}
+
+function getAllExtensions(sqlFileConfig) {
+  const { extensions = [], tables = [] } = sqlFileConfig;
+
+  const allExtensions = [...extensions];
+
+  for (const table of tables) {
+    for (const plugin of table.plugins || []) {
+      if (plugin.extensions) {
+        for (const extension of plugin.extensions) {
+          if (!allExtensions.find((ext) => ext.name === extension.name)) {
+            allExtensions.push(extension);
+          }
+        }
+      }
+    }
+  }
+
+  return allExtensions;
+}
+
+export function getTableColumns(table, deferredReferences = []) {
+  const { columns = [], references = [], plugins = [] } = table;
+
+  const tableColumns = [];
+
+  // Add table reference columns, composite references use declared columns
+  for (const reference of references || []) {
+    if (reference.columnNames) {
+      continue;
+    }
+
+    const { columnName, tableNameRef, nullable, type = "uuid" } = reference;
+
+    if (deferredReferences.includes(reference)) {
+      tableColumns.push(`${columnName} ${type}${nullable ? "" : " NOT NULL"}`);
+      continue;
+    }
+
+    tableColumns.push(
+      sql.column.ref(columnName, tableNameRef, {
+        nullable,
+        type,
+        columnNameRef: reference.columnNameRef,
+        onDelete: reference.onDelete,
+        onUpdate: reference.onUpdate,
+        deferrable: reference.deferrable,
+        initiallyDeferred: reference.initiallyDeferred,
+      })
+    );
+  }
+
+  // Add table own columns
+  tableColumns.push(...(columns || []));
+
+  // Add table plugin columns
+  for (const plugin of plugins) {
+    if (plugin.columns) {
+      tableColumns.push(...plugin.columns.map((column) => column()));
+    }
+  }
+  return tableColumns;
+}
+
+function getReferenceForeignKey(tableName, reference, dialect) {
+  const columnNames = reference.columnNames || [reference.columnName];
+  const columnNamesRef = reference.columnNamesRef || [
+    reference.columnNameRef ||
+      `${splitQualifiedName(reference.tableNameRef).name}_id`,
+  ];
+
+  return dialect.foreignKey(
+    tableName,
+    columnNames,
+    reference.tableNameRef,
+    columnNamesRef,
+    {
+      onDelete: reference.onDelete,
+      onUpdate: reference.onUpdate,
+      deferrable: reference.deferrable,
+      initiallyDeferred: reference.initiallyDeferred,
+    }
+  );
+}
+
+function getTableConstraints(table, dialect, deferredReferences = []) {
+  const { name: tableName, constraints = [], references = [] } = table;
+
+  const compositeForeignKeys = references
+    .filter(
+      (reference) =>
+        reference.columnNames && !deferredReferences.includes(reference)
+    )
+    .map(
+      (reference) =>
+        getReferenceForeignKey(tableName, reference, dialect).constraint
+    );
+
+  return [...constraints, ...compositeForeignKeys];
+}
+
+function getTableIndexes(table, dialect) {
+  const { name: tableName, indexes = [], references = [], options } = table;
+
+  const tableIndexes = [];
+
+  // Add reference column indexes
+  for (const reference of references) {
+    if (reference.index ?? options?.indexReferences) {
+      tableIndexes.push(
+        dialect.index(
+          tableName,
+          reference.columnNames || [reference.columnName]
+        )
+      );
+    }
+  }
+
+  // Add table own indexes, a column, a list of columns or an options object
+  for (const index of indexes) {
+    if (typeof index === "string" || Array.isArray(index)) {
+      tableIndexes.push(dialect.index(tableName, index));
+    } else {
+      const { columns, ...indexOptions } = index;
+      tableIndexes.push(dialect.index(tableName, columns, indexOptions));
+    }
   }
 
+  return tableIndexes;
+}
+
+function getTableTriggers(table, tableColumns) {
+  const triggers = [];
+  for (const plugin of table.plugins || []) {
+    for (const pluginTrigger of plugin.triggers || []) {
+      triggers.push(pluginTrigger(table.name, tableColumns));
+    }
+  }
+
+  return triggers;
+}
+
+function isSameType(previousType, sqlType) {
+  if (previousType.values && sqlType.values) {
+    return previousType.name === sqlType.name;
+  }
+
+  return previousType.up === sqlType.up;
+}
+
+// Columns of every table typed with the enum
+function getEnumColumns(tables, enumName) {
+  return tables.flatMap((table) =>
+    getTableColumns(table)
+      .map((column) => parseColumnDefinition(column))
+      .filter(
+        (column) =>
+          column.type.replace(/"/g, "").toLowerCase() === enumName.toLowerCase()
+      )
+      .map((column) => ({
+        tableName: table.name,
+        columnName: column.name,
+        defaultValue: column.defaultValue,
+      }))
+  );
+}
+
+// Statements turning previousTable into table, and their exact inverse.
+// Deferred references are added apart once every table exists
+function diffTable(previousTable, table, dialect, deferredReferences = []) {
+  const previousTableColumns = getTableColumns(previousTable);
+  const tableColumns = getTableColumns(table, deferredReferences);
+
+  function withIdColumn({ name, options }, columns) {
+    return options?.disableId ? columns : [sql.column.id(name), ...columns];
+  }
+
+  const sqlAlterTable = dialect.alterTable(
+    table.name,
+    {
+      columns: withIdColumn(previousTable, previousTableColumns),
+      constraints: getTableConstraints(previousTable, dialect),
+    },
+    {
+      columns: withIdColumn(table, tableColumns),
+      constraints: getTableConstraints(table, dialect, deferredReferences),
+    }
+  );
+
+  // Enums changing values are altered apart
+  const previousTypes = previousTable.types || [];
+  const types = table.types || [];
+  const addedTypes = types.filter(
+    (sqlType) => !previousTypes.find((type) => isSameType(type, sqlType))
+  );
+  const removedTypes = previousTypes.filter(
+    (sqlType) => !types.find((type) => isSameType(type, sqlType))
+  );
+
+  const previousTriggers = getTableTriggers(
+    previousTable,
+    previousTableColumns
+  );
+  const triggers = getTableTriggers(table, tableColumns);
+  const addedTriggers = triggers.filter(
+    (sqlTrigger) => !previousTriggers.find((t) => t.up === sqlTrigger.up)
+  );
+  const removedTriggers = previousTriggers.filter(
+    (sqlTrigger) => !triggers.find((t) => t.up === sqlTrigger.up)
+  );
+
+  const previousIndexes = getTableIndexes(previousTable, dialect);
+  const indexes = getTableIndexes(table, dialect);
+  const addedIndexes = indexes.filter(
+    (sqlIndex) => !previousIndexes.find((index) => index.up === sqlIndex.up)
+  );
+  const removedIndexes = previousIndexes.filter(
+    (sqlIndex) => !indexes.find((index) => index.up === sqlIndex.up)
+  );
+
+  const up = [
+    ...addedTypes.map((sqlType) => sqlType.up),
+    ...removedIndexes.map((sqlIndex) => sqlIndex.down),
+    ...removedTriggers.map((sqlTrigger) => sqlTrigger.down),
+    sqlAlterTable.up,
+    ...addedTriggers.map((sqlTrigger) => sqlTrigger.up),
+    ...addedIndexes.map((sqlIndex) => sqlIndex.up),
+    ...removedTypes.map((sqlType) => sqlType.down),
+  ];
+
+  const down = [
+    ...removedTypes.map((sqlType) => sqlType.up),
+    ...addedIndexes.map((sqlIndex) => sqlIndex.down),
+    ...addedTriggers.map((sqlTrigger) => sqlTrigger.down),
+    sqlAlterTable.down,
+    ...removedTriggers.map((sqlTrigger) => sqlTrigger.up),
+    ...removedIndexes.map((sqlIndex) => sqlIndex.up),
+    ...addedTypes.map((sqlType) => sqlType.down),
+  ];
+
   return {
-    up: generatorComment + wrapTransaction(generateSqlUpFileContent()),
-    down: generatorComment + wrapTransaction(generateSqlDownFileContent()),
+    up: up.filter((statement) => statement).join("\n"),
+    down: down.filter((statement) => statement).join("\n"),
   };
 }
 
-function sortTablesByReferences(tables) {
-  const topologicalSort = new TopologicalSort(
-    new Map(tables.map((table) => [table.name, table]))
+const ENTITY_CONFIG_KEYS = {
+  table: "tables",
+  view: "views",
+  materializedView: "materializedViews",
+  function: "functions",
+};
+
+function getEntityChunk(kind, entity, dialect) {
+  if (kind === "view") {
+    return dialect.view(entity.name, entity.query, {
+      columns: entity.columns,
+    });
+  }
+
+  if (kind === "materializedView") {
+    const sqlView = dialect.materializedView(entity.name, entity.query, {
+      withData: !entity.refresh,
+    });
+
+    // Indexes are dropped with the view
+    return {
+      up: [
+        sqlView.up,
+        ...getTableIndexes(entity, dialect).map((sqlIndex) => sqlIndex.up),
+        entity.refresh ? sqlView.refresh : "",
+      ]
+        .filter((statement) => statement)
+        .join("\n"),
+      down: sqlView.down,
+    };
+  }
+
+  return dialect.function(entity);
+}
+
+// Tables, views, materialized views and functions with dependsOn, sorted
+// like sortTablesByReferences: an entity comes before its dependencies
+function sortEntitiesByDependencies(sqlFileConfig, cyclicReferences) {
+  const entities = Object.entries(ENTITY_CONFIG_KEYS).flatMap(
+    ([kind, configKey]) =>
+      (sqlFileConfig[configKey] || [])
+        .filter((node) => kind !== "function" || node.dependsOn?.length)
+        .map((node) => ({ key: `${kind}:${node.name}`, kind, node }))
   );
+  const entitiesByKey = new Map(entities.map((entity) => [entity.key, entity]));
+
+  // Entities from previous migrations already exist
+  function getDependencyKeys({ kind, node }) {
+    const dependencyKeys = new Set();
+
+    if (kind === "table") {
+      for (const reference of node.references || []) {
+        const isCyclic = cyclicReferences.find(
+          (cyclicReference) => cyclicReference.reference === reference
+        );
+        if (reference.tableNameRef !== node.name && !isCyclic) {
+          dependencyKeys.add(`table:${reference.tableNameRef}`);
+        }
+      }
+    }
+
+    for (const name of node.dependsOn || []) {
+      const dependency = entities.find(
+        (entity) => entity.node.name === name && entity.node !== node
+      );
+      if (dependency) {
+        dependencyKeys.add(dependency.key);
+      }
+    }
+
+    return [...dependencyKeys].filter((key) => entitiesByKey.has(key));
+  }
+
+  const topologicalSort = new TopologicalSort(entitiesByKey);
+  for (const entity of entities) {
+    for (const dependencyKey of getDependencyKeys(entity)) {
+      topologicalSort.addEdge(entity.key, dependencyKey);
+    }
+  }
+
+  const sorted = topologicalSort.sort();
+  return [...sorted.keys()].map((key) => sorted.get(key).node);
+}
+
+// References closing a cycle are returned apart and left out of the sort
+export function sortTablesByReferences(tables) {
+  const tablesByName = new Map(tables.map((table) => [table.name, table]));
+
+  // Tables from previous migrations already exist and self references are
+  // created inline
+  function getReferencedTables(table) {
+    return (table.references || [])
+      .filter(
+        (reference) =>
+          reference.tableNameRef !== table.name &&
+          tablesByName.has(reference.tableNameRef)
+      )
+      .map((reference) => ({
+        reference,
+        referencedTable: tablesByName.get(reference.tableNameRef),
+      }));
+  }
+
+  const cyclicReferences = [];
+  const visitedTables = new Set();
+  const pathTables = new Set();
+
+  function visit(table) {
+    visitedTables.add(table);
+    pathTables.add(table);
+
+    for (const { reference, referencedTable } of getReferencedTables(table)) {
+      if (pathTables.has(referencedTable)) {
+        cyclicReferences.push({ table, reference });
+      } else if (!visitedTables.has(referencedTable)) {
+        visit(referencedTable);
+      }
+    }
+
+    pathTables.delete(table);
+  }
+
+  for (const table of tables) {
+    if (!visitedTables.has(table)) {
+      visit(table);
+    }
+  }
+
+  const topologicalSort = new TopologicalSort(tablesByName);
 
   for (const table of tables) {
-    for (const reference of table.references || []) {
-      topologicalSort.addEdge(table.name, reference.tableNameRef);
+    const tableNameRefs = new Set(
+      getReferencedTables(table)
+        .filter(
+          ({ reference }) =>
+            !cyclicReferences.find(
+              (cyclicReference) => cyclicReference.reference === reference
+            )
+        )
+        .map(({ referencedTable }) => referencedTable.name)
+    );
+
+    for (const tableNameRef of tableNameRefs) {
+      topologicalSort.addEdge(table.name, tableNameRef);
     }
   }
 
   const sorted = topologicalSort.sort();
   const sortedKeys = [...sorted.keys()];
 
-  return sortedKeys.map((key) => sorted.get(key).node);
+  return {
+    sortedTables: sortedKeys.map((key) => sorted.get(key).node),
+    cyclicReferences,
+  };
 }
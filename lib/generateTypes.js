@@ -0,0 +1,255 @@
+import sql from "./sql.js";
+import parseColumnDefinition from "./parseColumnDefinition.js";
+import { getTableColumns } from "./generateSqlFileContent.js";
+import qualifySqlConfig from "./qualifySqlConfig.js";
+
+// Values follow the default type parsers of slonik, but for timestamps
+const TYPE_MAPPINGS = [
+  {
+    types: [
+      "smallint",
+      "integer",
+      "int",
+      "int2",
+      "int4",
+      "bigint",
+      "int8",
+      "smallserial",
+      "serial",
+      "serial2",
+      "serial4",
+      "bigserial",
+      "serial8",
+      "real",
+      "float4",
+      "double precision",
+      "float8",
+      "numeric",
+      "decimal",
+      "interval",
+    ],
+    ts: "number",
+    zod: "z.number()",
+  },
+  // Timestamps are Dates, as pg and PGlite return them. slonik parses them
+  // to milliseconds, which the zod schemas coerce to the same Date
+  {
+    types: [
+      "timestamp",
+      "timestamp without time zone",
+      "timestamp with time zone",
+      "timestamptz",
+    ],
+    ts: "Date",
+    zod: "z.coerce.date()",
+  },
+  { types: ["boolean", "bool"], ts: "boolean", zod: "z.boolean()" },
+  {
+    types: [
+      "uuid",
+      "text",
+      "varchar",
+      "character varying",
+      "char",
+      "character",
+      "citext",
+      "date",
+      "time",
+      "time without time zone",
+      "time with time zone",
+      "timetz",
+      "inet",
+      "cidr",
+      "macaddr",
+      "tsvector",
+    ],
+    ts: "string",
+    zod: "z.string()",
+  },
+  { types: ["json", "jsonb"], ts: "unknown", zod: "z.unknown()" },
+  { types: ["bytea"], ts: "Buffer", zod: "z.instanceof(Buffer)" },
+];
+
+const SERIAL_TYPES = [
+  "smallserial",
+  "serial",
+  "serial2",
+  "serial4",
+  "bigserial",
+  "serial8",
+];
+
+// One row interface per table with its insert and update variants, and the
+// matching zod row schemas keyed by table name like slonik typeAliases.
+// Tables of a schema, their own or the default one, are prefixed with it:
+// auth.user -> AuthUserRow
+export default function generateTypes(sqlFileConfig, { schema } = {}) {
+  const { tables = [] } = qualifySqlConfig(sqlFileConfig, { schema });
+
+  const enums = getEnums(tables);
+  const tableTypes = tables.map((table) => ({
+    name: table.name,
+    typeName: pascalCase(table.name),
+    columns: getRowColumns(table, enums),
+  }));
+
+  const types = tableTypes.map(({ typeName, columns }) =>
+    [
+      `export interface ${typeName}Row {`,
+      ...columns.map(
+        (column) => `  ${formatKey(column.name)}: ${formatTsType(column)};`
+      ),
+      "}",
+      "",
+      `export interface ${typeName}Insert {`,
+      ...columns.map(
+        (column) =>
+          `  ${formatKey(column.name)}${
+            column.optional ? "?" : ""
+          }: ${formatTsType(column)};`
+      ),
+      "}",
+      "",
+      `export type ${typeName}Update = Partial<${typeName}Insert>;`,
+    ].join("\n")
+  );
+
+  const schemas = tableTypes.map(({ typeName, columns }) =>
+    [
+      `export const ${camelCase(typeName)}Row = z`,
+      "  .object({",
+      ...columns.map(
+        (column) => `    ${formatKey(column.name)}: ${formatZodType(column)},`
+      ),
+      "  })",
+      "  .strict();",
+    ].join("\n")
+  );
+
+  const typeAliases = [
+    "export const typeAliases = {",
+    ...tableTypes.map(
+      ({ name, typeName }) => `  ${formatKey(name)}: ${camelCase(typeName)}Row,`
+    ),
+    "};",
+  ].join("\n");
+
+  const generatorComment = "// This file was generated via sql-mirror\n";
+
+  return {
+    types: `${generatorComment}\n${types.join("\n\n")}\n`,
+    schemas: `${generatorComment}import { z } from "zod";\n\n${[
+      ...schemas,
+      typeAliases,
+    ].join("\n\n")}\n`,
+  };
+}
+
+function getRowColumns(table, enums) {
+  const tableColumns = getTableColumns(table);
+  if (!table.options?.disableId) {
+    tableColumns.unshift(sql.column.id(table.name));
+  }
+
+  return tableColumns.map((column) => {
+    const parsedColumn = parseColumnDefinition(column);
+    const mapping = getTypeMapping(parsedColumn.type, enums);
+    const isSerial = SERIAL_TYPES.includes(mapping.baseType);
+    const notNull = parsedColumn.notNull || parsedColumn.primaryKey || isSerial;
+
+    return {
+      name: parsedColumn.name,
+      ...mapping,
+      nullable: !notNull,
+      // The database fills these in on insert
+      optional: !notNull || parsedColumn.defaultValue !== null || isSerial,
+    };
+  });
+}
+
+function getTypeMapping(columnType, enums) {
+  const type = columnType
+    .replace(/"/g, "")
+    .replace(/\(.*?\)/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+  const isArray = /\[\]$/.test(type);
+  const baseType = type.replace(/(\[\])+$/, "").trim();
+
+  const enumLabels = enums.get(baseType);
+  if (enumLabels) {
+    return {
+      baseType,
+      isArray,
+      ts: enumLabels.map((label) => JSON.stringify(label)).join(" | "),
+      zod: `z.enum([${enumLabels
+        .map((label) => JSON.stringify(label))
+        .join(", ")}])`,
+    };
+  }
+
+  const mapping = TYPE_MAPPINGS.find((typeMapping) =>
+    typeMapping.types.includes(baseType)
+  ) || { ts: "unknown", zod: "z.unknown()" };
+
+  return { baseType, isArray, ts: mapping.ts, zod: mapping.zod };
+}
+
+// Enum labels by type name, from sql.enum or the CREATE TYPE of table types
+function getEnums(tables) {
+  const enums = new Map();
+
+  for (const table of tables) {
+    for (const sqlType of table.types || []) {
+      if (sqlType.values) {
+        enums.set(sqlType.name.toLowerCase(), sqlType.values);
+        continue;
+      }
+
+      const match = sqlType.up.match(
+        /CREATE\s+TYPE\s+((?:"?\w+"?\.)?"?\w+"?)\s+AS\s+ENUM\s*\(([\s\S]*)\)/i
+      );
+      if (match) {
+        const labels = [...match[2].matchAll(/'((?:[^']|'')*)'/g)].map(
+          (labelMatch) => labelMatch[1].replace(/''/g, "'")
+        );
+        enums.set(match[1].replace(/"/g, "").toLowerCase(), labels);
+      }
+    }
+  }
+
+  return enums;
+}
+
+function formatTsType({ ts, isArray, nullable }) {
+  let tsType = ts;
+  if (isArray) {
+    tsType = ts.includes("|") ? `Array<${ts}>` : `${ts}[]`;
+  }
+
+  return nullable ? `${tsType} | null` : tsType;
+}
+
+function formatZodType({ zod, isArray, nullable }) {
+  const zodType = isArray ? `z.array(${zod})` : zod;
+  return nullable ? `${zodType}.nullable()` : zodType;
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+// user_profile -> UserProfile
+function pascalCase(str) {
+  return str
+    .split(/[^a-zA-Z0-9]+/)
+    .filter((part) => part)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+}
+
+function camelCase(str) {
+  return str[0].toLowerCase() + str.slice(1);
+}
@@ -0,0 +1,418 @@
+import parseColumnDefinition from "./parseColumnDefinition.js";
+import splitSqlStatements from "./splitSqlStatements.js";
+import { splitQualifiedName } from "./sql.js";
+
+export const LINT_SEVERITIES = ["error", "warn", "off"];
+
+// Reserved keywords of Postgres, which must be quoted in hand-written SQL
+const RESERVED_WORDS = new Set([
+  "all",
+  "analyse",
+  "analyze",
+  "and",
+  "any",
+  "array",
+  "as",
+  "asc",
+  "asymmetric",
+  "authorization",
+  "binary",
+  "both",
+  "case",
+  "cast",
+  "check",
+  "collate",
+  "column",
+  "concurrently",
+  "constraint",
+  "create",
+  "cross",
+  "current_catalog",
+  "current_date",
+  "current_role",
+  "current_schema",
+  "current_time",
+  "current_timestamp",
+  "current_user",
+  "default",
+  "deferrable",
+  "desc",
+  "distinct",
+  "do",
+  "else",
+  "end",
+  "except",
+  "false",
+  "fetch",
+  "for",
+  "foreign",
+  "freeze",
+  "from",
+  "full",
+  "grant",
+  "group",
+  "having",
+  "ilike",
+  "in",
+  "initially",
+  "inner",
+  "intersect",
+  "into",
+  "is",
+  "isnull",
+  "join",
+  "lateral",
+  "leading",
+  "left",
+  "like",
+  "limit",
+  "localtime",
+  "localtimestamp",
+  "natural",
+  "not",
+  "notnull",
+  "null",
+  "offset",
+  "on",
+  "only",
+  "or",
+  "order",
+  "outer",
+  "overlaps",
+  "placing",
+  "primary",
+  "references",
+  "returning",
+  "right",
+  "select",
+  "session_user",
+  "similar",
+  "some",
+  "symmetric",
+  "table",
+  "tablesample",
+  "then",
+  "to",
+  "trailing",
+  "true",
+  "union",
+  "unique",
+  "user",
+  "using",
+  "variadic",
+  "verbose",
+  "when",
+  "where",
+  "window",
+  "with",
+]);
+
+// Built-in rules, a rule checks tables with checkTable and the SQL files of
+// up and repeatable migrations with checkSql
+export const LINT_RULES = {
+  "reference-index": {
+    severity: "warn",
+    checkTable(table, { report }) {
+      for (const reference of table.references || []) {
+        const columnNames = reference.columnNames || [reference.columnName];
+        if (
+          !(reference.index ?? table.options?.indexReferences) &&
+          !isIndexed(table, columnNames)
+        ) {
+          report({
+            column: columnNames.join(", "),
+            message: `Foreign key to "${reference.tableNameRef}" has no index, set index: true on the reference`,
+          });
+        }
+      }
+    },
+  },
+  "reserved-word": {
+    severity: "warn",
+    checkTable(table, { columns, report }) {
+      const tableName = splitQualifiedName(table.name).name;
+      if (RESERVED_WORDS.has(tableName.toLowerCase())) {
+        report({
+          message: `Table name "${tableName}" is a reserved word and must be quoted in SQL`,
+        });
+      }
+
+      const columnNames = [
+        ...(table.references || [])
+          .filter((reference) => reference.columnName)
+          .map((reference) => reference.columnName),
+        ...columns.map((column) => column.name),
+      ];
+      for (const columnName of columnNames) {
+        if (RESERVED_WORDS.has(columnName.toLowerCase())) {
+          report({
+            column: columnName,
+            message: `Column name "${columnName}" is a reserved word and must be quoted in SQL`,
+          });
+        }
+      }
+    },
+  },
+  "varchar-length": {
+    severity: "warn",
+    checkTable(table, { columns, report }) {
+      for (const column of columns) {
+        if (/^(varchar|character varying)$/i.test(column.type.trim())) {
+          report({
+            column: column.name,
+            message: `${column.type} without length, use VARCHAR(n) or TEXT`,
+          });
+        }
+      }
+    },
+  },
+  "timestamp-time-zone": {
+    severity: "warn",
+    checkTable(table, { columns, report }) {
+      for (const column of columns) {
+        if (
+          /^timestamp(\s*\(\d+\))?(\s+without\s+time\s+zone)?$/i.test(
+            column.type.trim()
+          )
+        ) {
+          report({
+            column: column.name,
+            message: `${column.type} without time zone, use TIMESTAMP WITH TIME ZONE`,
+          });
+        }
+      }
+    },
+  },
+  "not-null": {
+    severity: "off",
+    checkTable(table, { columns, report }) {
+      for (const column of columns) {
+        if (!column.notNull && !column.primaryKey) {
+          report({
+            column: column.name,
+            message: "Column is nullable, add NOT NULL",
+          });
+        }
+      }
+    },
+  },
+  "up-drop": {
+    severity: "warn",
+    checkSql(sqlFile, { statements, report }) {
+      const replacedObjects = getReplacedObjects(statements);
+
+      for (const statement of statements) {
+        if (
+          (/^DROP\s/i.test(statement.text) ||
+            /^ALTER\s+TABLE\s[\s\S]*\bDROP\s+(COLUMN|CONSTRAINT)\b/i.test(
+              statement.text
+            )) &&
+          !replacedObjects.includes(getDroppedObject(statement.text))
+        ) {
+          report({
+            line: statement.line,
+            message: `Up migration drops: ${statement.text.split("\n")[0]}`,
+          });
+        }
+      }
+    },
+  },
+};
+
+// Problems of tables and SQL files, tables being { table, file } with the
+// config file that last declared them, and SQL files { filename, sql }. Rules
+// come from LINT_RULES and the rules of plugins, their severity from rules
+export default function lintMigrations(
+  { tables = [], sqlFiles = [] },
+  { rules: ruleSeverities = {}, plugins = [] } = {}
+) {
+  const rules = { ...LINT_RULES };
+  for (const plugin of plugins) {
+    for (const [ruleName, rule] of Object.entries(plugin.rules || {})) {
+      if (!rule.checkTable && !rule.checkSql) {
+        throw new Error(
+          `Lint rule "${ruleName}" of plugin${
+            plugin.name ? ` ${plugin.name}` : ""
+          } has neither checkTable nor checkSql`
+        );
+      }
+      rules[ruleName] = rule;
+    }
+  }
+
+  for (const [ruleName, severity] of Object.entries(ruleSeverities)) {
+    if (!rules[ruleName]) {
+      throw new Error(
+        `Unknown lint rule "${ruleName}", expected one of: ${Object.keys(
+          rules
+        ).join(", ")}`
+      );
+    }
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(
+        `Invalid severity "${severity}" for lint rule "${ruleName}", expected one of: ${LINT_SEVERITIES.join(
+          ", "
+        )}`
+      );
+    }
+  }
+
+  const problems = [];
+
+  for (const [ruleName, rule] of Object.entries(rules)) {
+    const severity = ruleSeverities[ruleName] || rule.severity || "warn";
+    if (severity === "off") {
+      continue;
+    }
+
+    if (rule.checkTable) {
+      for (const { table, file } of tables) {
+        rule.checkTable(table, {
+          columns: (table.columns || []).map(parseColumnDefinition),
+          report: ({ message, column }) =>
+            problems.push({
+              rule: ruleName,
+              severity,
+              message,
+              file,
+              table: table.name,
+              ...(column ? { column } : {}),
+            }),
+        });
+      }
+    }
+
+    if (rule.checkSql) {
+      for (const sqlFile of sqlFiles) {
+        rule.checkSql(sqlFile, {
+          statements: getStatements(sqlFile.sql),
+          report: ({ message, line }) =>
+            problems.push({
+              rule: ruleName,
+              severity,
+              message,
+              file: sqlFile.filename,
+              ...(line ? { line } : {}),
+            }),
+        });
+      }
+    }
+  }
+
+  return problems.sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) ||
+      (a.line ?? 0) - (b.line ?? 0) ||
+      (a.table ?? "").localeCompare(b.table ?? "")
+  );
+}
+
+// Statements without their leading comments, with the line they start on
+function getStatements(sqlContent) {
+  const statements = [];
+  let position = 0;
+
+  for (const statement of splitSqlStatements(sqlContent)) {
+    const statementPosition = sqlContent.indexOf(statement, position);
+    position = statementPosition + statement.length;
+
+    const text = statement.replace(
+      /^(\s*(--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/))*\s*/,
+      ""
+    );
+    const textPosition = statementPosition + statement.length - text.length;
+
+    statements.push({
+      text,
+      line: sqlContent.slice(0, textPosition).split("\n").length,
+    });
+  }
+
+  return statements;
+}
+
+// Objects the statements create again, or rename away before dropping them
+// like the type of an enum recreated with other values, which generated
+// migrations drop without losing anything
+function getReplacedObjects(statements) {
+  const patterns = [
+    ["view", /^CREATE\s+(?:OR\s+REPLACE\s+)?VIEW\s+(\S+)/i],
+    [
+      "materialized view",
+      /^CREATE\s+MATERIALIZED\s+VIEW\s+(?:IF\s+NOT\s+EXISTS\s+)?(\S+)/i,
+    ],
+    ["constraint", /^ALTER\s+TABLE\s+\S+\s+ADD\s+CONSTRAINT\s+(\S+)/i],
+    ["type", /^ALTER\s+TYPE\s+\S+\s+RENAME\s+TO\s+([^\s;]+)/i],
+  ];
+
+  const replacedObjects = [];
+  for (const { text } of statements) {
+    for (const [kind, pattern] of patterns) {
+      const match = text.match(pattern);
+      if (match) {
+        replacedObjects.push(`${kind} ${unquoteName(match[1])}`);
+      }
+    }
+  }
+
+  return replacedObjects;
+}
+
+function getDroppedObject(text) {
+  const match =
+    text.match(
+      /^DROP\s+(VIEW|MATERIALIZED\s+VIEW|TYPE)\s+(?:IF\s+EXISTS\s+)?([^\s;]+)/i
+    ) ||
+    text.match(
+      /^ALTER\s+TABLE\s+\S+\s+DROP\s+(CONSTRAINT)\s+(?:IF\s+EXISTS\s+)?([^\s;]+)/i
+    );
+  if (!match) {
+    return null;
+  }
+
+  return `${match[1].toLowerCase().replace(/\s+/, " ")} ${unquoteName(
+    match[2]
+  )}`;
+}
+
+// Names compare without their schema, which RENAME TO does not take
+function unquoteName(name) {
+  return name.replace(/"/g, "").split(".").pop();
+}
+
+// Leading columns of a primary key, unique constraint or index
+function isIndexed(table, columnNames) {
+  const indexedColumnLists = [];
+
+  for (const column of (table.columns || []).map(parseColumnDefinition)) {
+    if (column.primaryKey || column.unique) {
+      indexedColumnLists.push([column.name]);
+    }
+  }
+
+  for (const constraint of table.constraints || []) {
+    const match = constraint.match(
+      /^(?:CONSTRAINT\s+\S+\s+)?(?:UNIQUE|PRIMARY\s+KEY)\s*\(([^)]*)\)/i
+    );
+    if (match) {
+      indexedColumnLists.push(
+        match[1].split(",").map((column) => column.replace(/"/g, "").trim())
+      );
+    }
+  }
+
+  for (const index of table.indexes || []) {
+    const indexColumns =
+      typeof index === "string" || Array.isArray(index) ? index : index.columns;
+    indexedColumnLists.push(
+      // "title DESC" indexes title, expressions index no column
+      (Array.isArray(indexColumns) ? indexColumns : [indexColumns]).map(
+        (column) => column.trim().match(/^(\w+)(\s+[^()]+)?$/)?.[1]
+      )
+    );
+  }
+
+  return indexedColumnLists.some((indexedColumns) =>
+    columnNames.every((columnName, i) => indexedColumns[i] === columnName)
+  );
+}
@@ -0,0 +1,148 @@
+const CONSTRAINT_KEYWORDS = [
+  "NOT",
+  "NULL",
+  "DEFAULT",
+  "PRIMARY",
+  "UNIQUE",
+  "REFERENCES",
+  "CHECK",
+  "CONSTRAINT",
+  "GENERATED",
+  "COLLATE",
+];
+
+export default function parseColumnDefinition(column) {
+  const tokens = tokenize(column.trim());
+  const [name, ...definitionTokens] = tokens;
+
+  const typeTokens = [];
+  let i = 0;
+  while (
+    i < definitionTokens.length &&
+    !CONSTRAINT_KEYWORDS.includes(definitionTokens[i].toUpperCase())
+  ) {
+    typeTokens.push(definitionTokens[i]);
+    i++;
+  }
+
+  const parsedColumn = {
+    name: unquote(name),
+    definition: definitionTokens.join(" "),
+    type: typeTokens.join(" "),
+    notNull: false,
+    defaultValue: null,
+    unique: false,
+    primaryKey: false,
+    references: null,
+    constraints: [],
+  };
+
+  while (i < definitionTokens.length) {
+    const keyword = definitionTokens[i].toUpperCase();
+    const nextKeyword = definitionTokens[i + 1]?.toUpperCase();
+
+    if (keyword === "NOT" && nextKeyword === "NULL") {
+      parsedColumn.notNull = true;
+      i += 2;
+    } else if (keyword === "NULL") {
+      i += 1;
+    } else if (keyword === "PRIMARY" && nextKeyword === "KEY") {
+      parsedColumn.primaryKey = true;
+      i += 2;
+    } else if (keyword === "UNIQUE") {
+      parsedColumn.unique = true;
+      i += 1;
+    } else if (keyword === "DEFAULT") {
+      const defaultTokens = [];
+      i += 1;
+      while (
+        i < definitionTokens.length &&
+        !CONSTRAINT_KEYWORDS.includes(definitionTokens[i].toUpperCase())
+      ) {
+        defaultTokens.push(definitionTokens[i]);
+        i++;
+      }
+      parsedColumn.defaultValue = defaultTokens.join(" ");
+    } else if (keyword === "REFERENCES") {
+      const referencesTokens = [];
+      i += 1;
+      while (
+        i < definitionTokens.length &&
+        (!CONSTRAINT_KEYWORDS.includes(definitionTokens[i].toUpperCase()) ||
+          isReferenceActionToken(definitionTokens, i))
+      ) {
+        referencesTokens.push(definitionTokens[i]);
+        i++;
+      }
+      parsedColumn.references = referencesTokens.join(" ");
+    } else {
+      const constraintTokens = [definitionTokens[i]];
+      i += 1;
+      while (
+        i < definitionTokens.length &&
+        !CONSTRAINT_KEYWORDS.includes(definitionTokens[i].toUpperCase())
+      ) {
+        constraintTokens.push(definitionTokens[i]);
+        i++;
+      }
+      parsedColumn.constraints.push(constraintTokens.join(" "));
+    }
+  }
+
+  return parsedColumn;
+}
+
+// SET NULL, SET DEFAULT and NOT DEFERRABLE belong to the references clause
+function isReferenceActionToken(tokens, i) {
+  const token = tokens[i].toUpperCase();
+  const previousToken = tokens[i - 1]?.toUpperCase();
+  const nextToken = tokens[i + 1]?.toUpperCase();
+
+  return (
+    ((token === "NULL" || token === "DEFAULT") && previousToken === "SET") ||
+    (token === "NOT" && nextToken === "DEFERRABLE")
+  );
+}
+
+// Split on whitespace, keeping parenthesized groups and quoted strings whole
+function tokenize(str) {
+  const tokens = [];
+  let current = "";
+  let depth = 0;
+  let quote = null;
+
+  for (const char of str) {
+    if (quote) {
+      current += char;
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      current += char;
+    } else if (char === "(") {
+      depth++;
+      current += char;
+    } else if (char === ")") {
+      depth--;
+      current += char;
+    } else if (/\s/.test(char) && depth === 0) {
+      if (current) {
+        tokens.push(current);
+      }
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) {
+    tokens.push(current);
+  }
+
+  return tokens;
+}
+
+function unquote(str) {
+  return str.replace(/^"(.*)"$/, "$1");
+}
@@ -0,0 +1,69 @@
+// Header comment keys and their migration config option
+const DIRECTIVES = [
+  { key: "transaction", option: "transaction" },
+  { key: "lock_timeout", option: "lockTimeout" },
+  { key: "statement_timeout", option: "statementTimeout" },
+  { key: "squash", option: "squash" },
+];
+
+const DIRECTIVE_LINE_REGEX = /^--\s*sql-mirror:(.*)$/;
+
+// Reads "-- sql-mirror: transaction=false lock_timeout=5s" lines from the
+// leading comments of a migration file
+export default function parseMigrationDirectives(sqlContent, { source } = {}) {
+  const directives = {};
+
+  for (const line of sqlContent.split("\n")) {
+    const trimmedLine = line.trim();
+    if (trimmedLine === "") {
+      continue;
+    }
+    if (!trimmedLine.startsWith("--")) {
+      break;
+    }
+
+    const match = trimmedLine.match(DIRECTIVE_LINE_REGEX);
+    if (!match) {
+      continue;
+    }
+
+    for (const token of match[1].trim().split(/\s+/).filter(Boolean)) {
+      const [key, value] = token.split("=");
+      const directive = DIRECTIVES.find((directive) => directive.key === key);
+
+      if (!directive || !value) {
+        throw new Error(
+          `Invalid sql-mirror directive "${token}"${
+            source ? ` in ${source}` : ""
+          }, expected ${DIRECTIVES.map(({ key }) => `${key}=<value>`).join(
+            ", "
+          )}`
+        );
+      }
+
+      if (directive.key === "transaction") {
+        if (value !== "true" && value !== "false") {
+          throw new Error(
+            `Invalid sql-mirror directive "${token}"${
+              source ? ` in ${source}` : ""
+            }, expected transaction=true or transaction=false`
+          );
+        }
+        directives[directive.option] = value === "true";
+      } else {
+        directives[directive.option] = value;
+      }
+    }
+  }
+
+  return directives;
+}
+
+// The header line of the options of a migration config, empty without any
+export function formatMigrationDirectives(options = {}) {
+  const tokens = DIRECTIVES.filter(
+    ({ option }) => options[option] !== undefined
+  ).map(({ key, option }) => `${key}=${options[option]}`);
+
+  return tokens.length > 0 ? `-- sql-mirror: ${tokens.join(" ")}\n` : "";
+}
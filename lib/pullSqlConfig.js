@@ -0,0 +1,408 @@
+import sql, { quoteQualifiedName } from "./sql.js";
+import renderSqlConfigModule from "./renderSqlConfigModule.js";
+
+const IGNORED_TABLES = ["sqlmirror_migration", "sqlmirror_seed"];
+
+// confdeltype and confupdtype, NO ACTION is the default
+const REFERENCE_ACTIONS = {
+  r: "RESTRICT",
+  c: "CASCADE",
+  n: "SET NULL",
+  d: "SET DEFAULT",
+};
+
+// Read a Postgres schema and render it as a sql-mirror config module
+export default async function pullSqlConfig(
+  driver,
+  { schema = "public" } = {}
+) {
+  const extensions = await queryRows(
+    driver,
+    `
+      SELECT extname::text AS name
+      FROM pg_extension
+      WHERE extname <> 'plpgsql'
+      ORDER BY extname;
+    `
+  );
+
+  const enumTypes = await queryRows(
+    driver,
+    `
+      SELECT
+        t.typname::text AS name,
+        array_agg(e.enumlabel::text ORDER BY e.enumsortorder) AS labels
+      FROM pg_type t
+      JOIN pg_enum e ON e.enumtypid = t.oid
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      WHERE n.nspname = $1
+      GROUP BY t.typname
+      ORDER BY t.typname;
+    `,
+    [schema]
+  );
+
+  const tables = await queryRows(
+    driver,
+    `
+      SELECT c.relname::text AS name
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1 AND c.relkind = 'r'
+      ORDER BY c.relname;
+    `,
+    [schema]
+  );
+
+  const columns = await queryRows(
+    driver,
+    `
+      SELECT
+        c.relname::text AS table_name,
+        a.attname::text AS name,
+        format_type(a.atttypid, a.atttypmod) AS data_type,
+        tn.nspname = 'pg_catalog' AS builtin_type,
+        a.attnotnull AS not_null,
+        pg_get_expr(d.adbin, d.adrelid) AS default_value
+      FROM pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_type t ON t.oid = a.atttypid
+      JOIN pg_namespace tn ON tn.oid = t.typnamespace
+      LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+      WHERE n.nspname = $1
+        AND c.relkind = 'r'
+        AND a.attnum > 0
+        AND NOT a.attisdropped
+      ORDER BY c.relname, a.attnum;
+    `,
+    [schema]
+  );
+
+  const constraints = await queryRows(
+    driver,
+    `
+      SELECT
+        c.relname::text AS table_name,
+        con.conname::text AS name,
+        con.contype::text AS type,
+        pg_get_constraintdef(con.oid) AS definition,
+        ARRAY(
+          SELECT a.attname::text
+          FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, position)
+          JOIN pg_attribute a
+            ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+          ORDER BY k.position
+        ) AS columns,
+        fc.relname::text AS referenced_table,
+        CASE WHEN con.contype = 'f' THEN ARRAY(
+          SELECT a.attname::text
+          FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, position)
+          JOIN pg_attribute a
+            ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+          ORDER BY k.position
+        ) END AS referenced_columns,
+        con.confdeltype::text AS delete_action,
+        con.confupdtype::text AS update_action,
+        con.confmatchtype::text AS match_type,
+        con.condeferrable AS deferrable,
+        con.condeferred AS initially_deferred
+      FROM pg_constraint con
+      JOIN pg_class c ON c.oid = con.conrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      LEFT JOIN pg_class fc ON fc.oid = con.confrelid
+      WHERE n.nspname = $1 AND con.contype IN ('p', 'u', 'f', 'c')
+      ORDER BY c.relname, con.conname;
+    `,
+    [schema]
+  );
+
+  const triggers = await queryRows(
+    driver,
+    `
+      SELECT
+        c.relname::text AS table_name,
+        tg.tgname::text AS name,
+        pg_get_triggerdef(tg.oid) AS definition
+      FROM pg_trigger tg
+      JOIN pg_class c ON c.oid = tg.tgrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1 AND NOT tg.tgisinternal;
+    `,
+    [schema]
+  );
+
+  // Entities of public stay unqualified
+  const tableSchema = schema === "public" ? undefined : schema;
+  const tableConfigs = tables
+    .filter((table) => !IGNORED_TABLES.includes(table.name))
+    .map((table) =>
+      getTableConfig(table.name, {
+        schema: tableSchema,
+        columns: columns.filter((column) => column.table_name === table.name),
+        constraints: constraints.filter(
+          (constraint) => constraint.table_name === table.name
+        ),
+        triggers: triggers.filter(
+          (trigger) => trigger.table_name === table.name
+        ),
+      })
+    );
+
+  // Enum types are declared on the first table using them
+  for (const enumType of enumTypes) {
+    const tableConfig =
+      tableConfigs.find(
+        (table) =>
+          table.columnTypes.includes(enumType.name) ||
+          table.columnTypes.includes(`${schema}.${enumType.name}`)
+      ) || tableConfigs[0];
+
+    if (tableConfig) {
+      tableConfig.types.push(
+        sql.enum(
+          enumType.name,
+          enumType.labels,
+          tableSchema ? { schema: tableSchema } : {}
+        )
+      );
+    }
+  }
+
+  return renderSqlConfigModule(
+    {
+      extensions: extensions.map(getExtensionChunk),
+      tables: tableConfigs.map(({ columnTypes, ...tableConfig }) =>
+        Object.fromEntries(
+          Object.entries(tableConfig).filter(
+            ([, value]) => !Array.isArray(value) || value.length > 0
+          )
+        )
+      ),
+    },
+    { comment: "config file pulled from the database by sql-mirror" }
+  );
+}
+
+// sql.extension chunks of known extensions
+function getExtensionChunk({ name }) {
+  return (
+    Object.values(sql.extension).find(
+      (extension) => extension.name === name
+    ) || {
+      name,
+      up: `CREATE EXTENSION IF NOT EXISTS "${name}";`,
+      down: `DROP EXTENSION IF EXISTS "${name}";`,
+    }
+  );
+}
+
+async function queryRows(driver, text, values) {
+  const result = await driver.query(text, values);
+  return result.rows;
+}
+
+function getTableConfig(tableName, { schema, columns, constraints, triggers }) {
+  const primaryKey = constraints.find((constraint) => constraint.type === "p");
+  const idColumnName = `${tableName}_id`;
+  const idColumn = columns.find(
+    (column) =>
+      column.name === idColumnName &&
+      column.data_type === "uuid" &&
+      column.default_value === "uuid_generate_v4()" &&
+      primaryKey?.columns.length === 1 &&
+      primaryKey.columns[0] === idColumnName
+  );
+
+  const createdAtColumn = columns.find(
+    (column) =>
+      column.name === "created_at" &&
+      column.data_type === "timestamp with time zone" &&
+      column.default_value === "now()" &&
+      !column.not_null
+  );
+
+  const updatedAtTrigger = triggers.find((trigger) =>
+    /EXECUTE (PROCEDURE|FUNCTION) moddatetime\('?updated_at'?\)/.test(
+      trigger.definition
+    )
+  );
+  const updatedAtColumn = columns.find(
+    (column) =>
+      column.name === "updated_at" &&
+      column.data_type === "timestamp with time zone" &&
+      !column.default_value &&
+      !column.not_null
+  );
+
+  const plugins = [];
+  if (createdAtColumn) {
+    plugins.push(sql.tablePlugin.created_at);
+  }
+  if (updatedAtColumn && updatedAtTrigger) {
+    plugins.push(sql.tablePlugin.updated_at);
+  }
+
+  const pluginColumns = [
+    idColumn,
+    createdAtColumn,
+    updatedAtTrigger && updatedAtColumn,
+  ].filter((column) => column);
+
+  const references = [];
+  const tableConstraints = [];
+  const referenceColumnNames = [];
+
+  for (const constraint of constraints) {
+    if (constraint.type === "p" && idColumn) {
+      continue;
+    }
+
+    const isSingleColumn = constraint.columns.length === 1;
+
+    // Foreign keys become references, so that tables are created in their
+    // order. MATCH FULL and PARTIAL have no reference option and stay raw
+    if (constraint.type === "f" && constraint.match_type === "s") {
+      const reference = getReference(constraint, { columns, constraints });
+      references.push(reference);
+      if (reference.columnName) {
+        referenceColumnNames.push(reference.columnName);
+      }
+      continue;
+    }
+
+    if (
+      (constraint.type === "p" || constraint.type === "u") &&
+      isSingleColumn
+    ) {
+      continue;
+    }
+
+    tableConstraints.push(
+      `CONSTRAINT "${constraint.name}" ${constraint.definition}`
+    );
+  }
+
+  const ownColumns = columns
+    .filter(
+      (column) =>
+        !pluginColumns.includes(column) &&
+        !referenceColumnNames.includes(column.name)
+    )
+    .map((column) => {
+      const isConstrained = (type) =>
+        constraints.find(
+          (constraint) =>
+            constraint.type === type &&
+            constraint.columns.length === 1 &&
+            constraint.columns[0] === column.name
+        );
+
+      const isPrimaryKey = isConstrained("p") && !idColumn;
+
+      const serialType = getSerialType(tableName, column);
+
+      return [
+        column.name,
+        serialType || formatColumnType(column),
+        column.default_value && !serialType
+          ? `DEFAULT ${column.default_value}`
+          : "",
+        isPrimaryKey ? "PRIMARY KEY" : "",
+        isConstrained("u") ? "UNIQUE" : "",
+        column.not_null && !isPrimaryKey ? "NOT NULL" : "",
+      ]
+        .filter((part) => part)
+        .join(" ");
+    });
+
+  return {
+    name: tableName,
+    schema,
+    types: [],
+    columns: ownColumns,
+    references,
+    constraints: tableConstraints,
+    plugins,
+    options: idColumn ? undefined : { disableId: true },
+    columnTypes: columns.map((column) => column.data_type),
+  };
+}
+
+// A single column without a default, primary key or unique constraint is
+// declared by its reference, other columns keep their declaration and are
+// listed in columnNames
+function getReference(constraint, { columns, constraints }) {
+  const options = {
+    ...(REFERENCE_ACTIONS[constraint.delete_action]
+      ? { onDelete: REFERENCE_ACTIONS[constraint.delete_action] }
+      : {}),
+    ...(REFERENCE_ACTIONS[constraint.update_action]
+      ? { onUpdate: REFERENCE_ACTIONS[constraint.update_action] }
+      : {}),
+    ...(constraint.initially_deferred
+      ? { initiallyDeferred: true }
+      : constraint.deferrable
+      ? { deferrable: true }
+      : {}),
+  };
+
+  const column =
+    constraint.columns.length === 1 &&
+    columns.find((c) => c.name === constraint.columns[0]);
+  const isKeyColumn = constraints.some(
+    (c) =>
+      (c.type === "p" || c.type === "u") &&
+      c.columns.length === 1 &&
+      c.columns[0] === column?.name
+  );
+
+  if (!column || column.default_value || isKeyColumn) {
+    return {
+      columnNames: constraint.columns,
+      tableNameRef: constraint.referenced_table,
+      columnNamesRef: constraint.referenced_columns,
+      ...options,
+    };
+  }
+
+  const [columnNameRef] = constraint.referenced_columns;
+  return {
+    columnName: column.name,
+    tableNameRef: constraint.referenced_table,
+    ...(columnNameRef === `${constraint.referenced_table}_id`
+      ? {}
+      : { columnNameRef }),
+    ...(column.data_type === "uuid" ? {} : { type: formatColumnType(column) }),
+    ...(column.not_null ? {} : { nullable: true }),
+    ...options,
+  };
+}
+
+function formatColumnType(column) {
+  return column.builtin_type
+    ? formatBuiltinType(column.data_type)
+    : quoteQualifiedName(column.data_type);
+}
+
+const SERIAL_TYPES = {
+  smallint: "SMALLSERIAL",
+  integer: "SERIAL",
+  bigint: "BIGSERIAL",
+};
+
+function getSerialType(tableName, column) {
+  const ownSequenceDefault = `nextval('${tableName}_${column.name}_seq'::regclass)`;
+  if (column.default_value !== ownSequenceDefault) {
+    return null;
+  }
+
+  return SERIAL_TYPES[column.data_type] || null;
+}
+
+function formatBuiltinType(dataType) {
+  return dataType
+    .replace(/^character varying/, "varchar")
+    .replace(/^character\b/, "char")
+    .toUpperCase();
+}
@@ -0,0 +1,62 @@
+import { qualifyName, resolveName } from "./sql.js";
+
+// Name tables, views, materialized views and functions <schema>.<name> after
+// their own schema or the default one, and resolve their references and
+// dependencies against it. Types are rendered by sql.enum and sql.type, only
+// their own schema applies
+export default function qualifySqlConfig(sqlFileConfig, { schema } = {}) {
+  function qualifyEntity(entity) {
+    const entitySchema = entity.schema ?? schema;
+    const qualifiedEntity = {
+      ...entity,
+      name: qualifyName(entitySchema, entity.name),
+    };
+
+    if (entity.dependsOn) {
+      qualifiedEntity.dependsOn = entity.dependsOn.map((name) =>
+        resolveName(name, entitySchema)
+      );
+    }
+
+    return qualifiedEntity;
+  }
+
+  function qualifyTable(table) {
+    const tableSchema = table.schema ?? schema;
+    const qualifiedTable = qualifyEntity(table);
+
+    if (table.references) {
+      qualifiedTable.references = table.references.map((reference) => ({
+        ...reference,
+        tableNameRef: resolveName(reference.tableNameRef, tableSchema),
+      }));
+    }
+
+    if (table.types) {
+      qualifiedTable.types = table.types.map((sqlType) =>
+        sqlType.name
+          ? { ...sqlType, name: qualifyName(sqlType.schema, sqlType.name) }
+          : sqlType
+      );
+    }
+
+    return qualifiedTable;
+  }
+
+  const qualifiedConfig = { ...sqlFileConfig };
+  if (sqlFileConfig.tables) {
+    qualifiedConfig.tables = sqlFileConfig.tables.map(qualifyTable);
+  }
+  for (const configKey of ["views", "materializedViews"]) {
+    if (sqlFileConfig[configKey]) {
+      qualifiedConfig[configKey] = sqlFileConfig[configKey].map(qualifyEntity);
+    }
+  }
+  if (sqlFileConfig.functions) {
+    qualifiedConfig.functions = sqlFileConfig.functions.map((sqlFunction) =>
+      sqlFunction.name ? qualifyEntity(sqlFunction) : sqlFunction
+    );
+  }
+
+  return qualifiedConfig;
+}
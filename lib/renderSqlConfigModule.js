@@ -0,0 +1,128 @@
+import sql from "./sql.js";
+
+// sql.<namespace>.<name> of every chunk, plugin and helper, to render them by
+// reference instead of by value
+const SQL_REFERENCES = new Map(
+  Object.entries(sql).flatMap(([namespace, members]) =>
+    members && typeof members === "object"
+      ? Object.entries(members)
+          .filter(
+            ([, member]) =>
+              member &&
+              (typeof member === "object" || typeof member === "function")
+          )
+          .map(([name, member]) => [member, `sql.${namespace}.${name}`])
+      : []
+  )
+);
+
+// The source of a config module returning sqlFileConfig
+export default function renderSqlConfigModule(
+  sqlFileConfig,
+  { comment = "config file generated by sql-mirror" } = {}
+) {
+  return `// ${comment}
+import { sql } from "sql-mirror";
+
+export default function sqlMirrorConfig() {
+  return ${renderValue(sqlFileConfig, { depth: 1, path: "config" })};
+}
+`;
+}
+
+function renderValue(value, { depth, path }) {
+  if (SQL_REFERENCES.has(value)) {
+    return SQL_REFERENCES.get(value);
+  }
+
+  if (isEnumChunk(value)) {
+    const { name, values, up, down, ...options } = value;
+    const args = [
+      name,
+      values,
+      ...(Object.keys(options).length > 0 ? [options] : []),
+    ];
+    return `sql.enum(${args
+      .map((arg, i) => renderValue(arg, { depth, path: `${path}(${i})` }))
+      .join(", ")})`;
+  }
+
+  if (typeof value === "string") {
+    return value.includes("\n")
+      ? renderTemplateLiteral(value)
+      : JSON.stringify(value);
+  }
+
+  if (
+    typeof value === "number" ||
+    typeof value === "boolean" ||
+    value === null
+  ) {
+    return String(value);
+  }
+
+  const itemIndent = "  ".repeat(depth + 1);
+  const closingIndent = "  ".repeat(depth);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return "[]";
+    }
+
+    const items = value.map(
+      (item, i) =>
+        `${itemIndent}${renderValue(item, {
+          depth: depth + 1,
+          path: `${path}[${i}]`,
+        })},`
+    );
+    return `[\n${items.join("\n")}\n${closingIndent}]`;
+  }
+
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const entries = Object.entries(value).filter(
+      ([, entryValue]) => entryValue !== undefined
+    );
+    if (entries.length === 0) {
+      return "{}";
+    }
+
+    const properties = entries.map(
+      ([key, entryValue]) =>
+        `${itemIndent}${renderKey(key)}: ${renderValue(entryValue, {
+          depth: depth + 1,
+          path: `${path}.${key}`,
+        })},`
+    );
+    return `{\n${properties.join("\n")}\n${closingIndent}}`;
+  }
+
+  throw new Error(
+    `Cannot render ${path}, only plain values and sql-mirror chunks can be written to a config module`
+  );
+}
+
+// sql.enum types are rendered as the call creating them, when it gives the
+// same chunk back
+function isEnumChunk(value) {
+  if (typeof value?.name !== "string" || !Array.isArray(value.values)) {
+    return false;
+  }
+
+  const { name, values, up, down, ...options } = value;
+  const chunk = sql.enum(name, values, options);
+  return (
+    Object.keys(chunk).length === Object.keys(value).length &&
+    chunk.up === up &&
+    chunk.down === down
+  );
+}
+
+function renderKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+// Multi-line SQL stays readable, its lines are kept as they are
+function renderTemplateLiteral(str) {
+  return `\`${str.replace(/[`\\]|\$\{/g, (match) => `\\${match}`)}\``;
+}
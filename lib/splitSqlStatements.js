@@ -0,0 +1,74 @@
+// Split a SQL script into statements on top-level semicolons, skipping those
+// in quotes, dollar quotes and comments
+export default function splitSqlStatements(sqlContent) {
+  const statements = [];
+  let current = "";
+  let i = 0;
+
+  while (i < sqlContent.length) {
+    const char = sqlContent[i];
+    const rest = sqlContent.slice(i);
+
+    let skipped = null;
+    if (char === "'" || char === '"') {
+      const end = findQuoteEnd(sqlContent, i, char);
+      skipped = sqlContent.slice(i, end);
+    } else if (rest.startsWith("--")) {
+      const end = sqlContent.indexOf("\n", i);
+      skipped = sqlContent.slice(i, end === -1 ? sqlContent.length : end);
+    } else if (rest.startsWith("/*")) {
+      const end = sqlContent.indexOf("*/", i + 2);
+      skipped = sqlContent.slice(i, end === -1 ? sqlContent.length : end + 2);
+    } else if (char === "$") {
+      const tag = rest.match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/)?.[0];
+      if (tag) {
+        const end = sqlContent.indexOf(tag, i + tag.length);
+        skipped = sqlContent.slice(
+          i,
+          end === -1 ? sqlContent.length : end + tag.length
+        );
+      }
+    }
+
+    if (skipped !== null) {
+      current += skipped;
+      i += skipped.length;
+    } else if (char === ";") {
+      statements.push(current + ";");
+      current = "";
+      i++;
+    } else {
+      current += char;
+      i++;
+    }
+  }
+  statements.push(current);
+
+  // Drop what holds only whitespace and comments
+  return statements
+    .map((statement) => statement.trim())
+    .filter(
+      (statement) =>
+        statement
+          .replace(/--[^\n]*/g, "")
+          .replace(/\/\*[\s\S]*?\*\//g, "")
+          .trim() !== "" && statement !== ";"
+    );
+}
+
+// Quotes are escaped by doubling them
+function findQuoteEnd(str, start, quote) {
+  let i = start + 1;
+  while (i < str.length) {
+    if (str[i] === quote) {
+      if (str[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+
+  return str.length;
+}
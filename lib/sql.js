@@ -1,4 +1,5 @@
 import { stripIndents } from "common-tags";
+import parseColumnDefinition from "./parseColumnDefinition.js";
 
 export default function sql(staticStrArr, ...dynamicValues) {
   let str = "";
@@ -19,7 +20,7 @@ sql.table = function (
 ) {
   let idColumn = "";
   if (!disableId) {
-    idColumn = `${tableName}_id uuid DEFAULT uuid_generate_v4 () PRIMARY KEY`;
+    idColumn = sql.column.id(tableName);
   }
 
   const defaultStartColumns = [idColumn].filter((v) => v);
@@ -33,11 +34,141 @@ sql.table = function (
 
   return {
     up: formatCreateTableStr(sql`
-        CREATE TABLE IF NOT EXISTS "${tableName}" (
+        CREATE TABLE IF NOT EXISTS ${quoteQualifiedName(tableName)} (
           ${[...columnsFormatted, ...constraints].join(",\n  ")}
         );
     `),
-    down: sql`DROP TABLE IF EXISTS "${tableName}";`,
+    down: sql`DROP TABLE IF EXISTS ${quoteQualifiedName(tableName)};`,
+  };
+};
+
+sql.alterTable = function (
+  tableName,
+  { columns: previousColumns = [], constraints: previousConstraints = [] },
+  { columns = [], constraints = [] }
+) {
+  const previousColumnsByName = new Map(
+    previousColumns.map((column) => {
+      const parsedColumn = parseColumnDefinition(column);
+      return [parsedColumn.name, parsedColumn];
+    })
+  );
+  const columnsByName = new Map(
+    columns.map((column) => {
+      const parsedColumn = parseColumnDefinition(column);
+      return [parsedColumn.name, parsedColumn];
+    })
+  );
+
+  const alterTable = `ALTER TABLE ${quoteQualifiedName(tableName)}`;
+  const changes = [];
+
+  // Constraints are dropped before the columns they use go away, and added
+  // once the columns they use exist
+  for (const constraint of previousConstraints) {
+    if (!constraints.includes(constraint)) {
+      const constraintName = getConstraintName(tableName, constraint);
+      changes.push({
+        up: `${alterTable} DROP CONSTRAINT IF EXISTS "${constraintName}";`,
+        down: `${alterTable} ADD ${constraint};`,
+      });
+    }
+  }
+
+  for (const [columnName, column] of columnsByName) {
+    const previousColumn = previousColumnsByName.get(columnName);
+    if (!previousColumn) {
+      changes.push({
+        up: `${alterTable} ADD COLUMN "${columnName}" ${column.definition};`,
+        down: `${alterTable} DROP COLUMN IF EXISTS "${columnName}";`,
+      });
+      continue;
+    }
+
+    changes.push(...alterColumnChanges(tableName, previousColumn, column));
+  }
+
+  for (const [columnName, previousColumn] of previousColumnsByName) {
+    if (!columnsByName.has(columnName)) {
+      changes.push({
+        up: `${alterTable} DROP COLUMN IF EXISTS "${columnName}";`,
+        down: `${alterTable} ADD COLUMN "${columnName}" ${previousColumn.definition};`,
+      });
+    }
+  }
+
+  for (const constraint of constraints) {
+    if (!previousConstraints.includes(constraint)) {
+      const constraintName = getConstraintName(tableName, constraint);
+      changes.push({
+        up: `${alterTable} ADD ${constraint};`,
+        down: `${alterTable} DROP CONSTRAINT IF EXISTS "${constraintName}";`,
+      });
+    }
+  }
+
+  return {
+    up: changes.map((change) => change.up).join("\n"),
+    down: [...changes]
+      .reverse()
+      .map((change) => change.down)
+      .join("\n"),
+  };
+};
+
+sql.foreignKey = function (
+  tableName,
+  columnNames,
+  tableNameRef,
+  columnNamesRef,
+  { name, ...referenceOptions } = {}
+) {
+  const foreignKeyName =
+    name ||
+    `${splitQualifiedName(tableName).name}_${columnNames.join("_")}_fkey`;
+  const constraint = `CONSTRAINT "${foreignKeyName}" FOREIGN KEY (${columnNames
+    .map((columnName) => `"${columnName}"`)
+    .join(", ")}) REFERENCES ${quoteQualifiedName(
+    tableNameRef
+  )}(${columnNamesRef
+    .map((columnName) => `"${columnName}"`)
+    .join(", ")})${formatReferenceOptions(referenceOptions)}`;
+
+  return {
+    name: foreignKeyName,
+    constraint,
+    up: `ALTER TABLE ${quoteQualifiedName(tableName)} ADD ${constraint};`,
+    down: `ALTER TABLE ${quoteQualifiedName(
+      tableName
+    )} DROP CONSTRAINT IF EXISTS "${foreignKeyName}";`,
+  };
+};
+
+sql.index = function (
+  tableName,
+  columns,
+  { unique = false, where, using, name } = {}
+) {
+  const indexColumns = Array.isArray(columns) ? columns : [columns];
+  const indexName = name || getIndexName(tableName, indexColumns, { unique });
+
+  // Indexes live in the schema of their table
+  return {
+    name: indexName,
+    up: [
+      `CREATE${unique ? " UNIQUE" : ""} INDEX IF NOT EXISTS "${indexName}"`,
+      `ON ${quoteQualifiedName(tableName)}${using ? ` USING ${using}` : ""}`,
+      `(${indexColumns
+        .map((column) => formatIndexColumn(column, '"'))
+        .join(", ")})`,
+      where ? `WHERE ${where}` : "",
+    ]
+      .filter((part) => part)
+      .join(" ")
+      .concat(";"),
+    down: `DROP INDEX IF EXISTS ${quoteQualifiedName(
+      qualifyName(splitQualifiedName(tableName).schema, indexName)
+    )};`,
   };
 };
 
@@ -55,6 +186,11 @@ sql.extension = {
 };
 
 sql.column = {
+  id(tableName) {
+    return sql`${
+      splitQualifiedName(tableName).name
+    }_id uuid DEFAULT uuid_generate_v4 () PRIMARY KEY`;
+  },
   email(columnName = "email") {
     return sql`${columnName} VARCHAR(255) UNIQUE NOT NULL`;
   },
@@ -64,10 +200,32 @@ sql.column = {
   updated_at() {
     return sql`updated_at TIMESTAMP WITH TIME ZONE`;
   },
-  ref(columnName, tableName, { nullable = false, onDelete = "CASCADE" } = {}) {
-    return sql`${columnName} uuid${
+  enum(columnName, enumType, { nullable = false, defaultValue } = {}) {
+    const enumName =
+      typeof enumType === "string"
+        ? enumType
+        : qualifyName(enumType.schema, enumType.name);
+    return sql`${columnName} ${quoteQualifiedName(enumName)}${
+      nullable ? "" : " NOT NULL"
+    }${
+      defaultValue !== undefined ? ` DEFAULT ${quoteLiteral(defaultValue)}` : ""
+    }`;
+  },
+  ref(
+    columnName,
+    tableName,
+    {
+      nullable = false,
+      type = "uuid",
+      columnNameRef = `${splitQualifiedName(tableName).name}_id`,
+      ...referenceOptions
+    } = {}
+  ) {
+    return sql`${columnName} ${type}${
       nullable ? "" : " NOT NULL"
-    } REFERENCES "${tableName}"(${tableName}_id)`;
+    } REFERENCES ${quoteQualifiedName(
+      tableName
+    )}(${columnNameRef})${formatReferenceOptions(referenceOptions)}`;
   },
 };
 
@@ -75,11 +233,15 @@ sql.trigger = {
   updated_at_on_table(tableName) {
     return {
       up: sql`
-        CREATE TRIGGER handle_updated_at BEFORE UPDATE ON "${tableName}"
+        CREATE TRIGGER handle_updated_at BEFORE UPDATE ON ${quoteQualifiedName(
+          tableName
+        )}
         FOR EACH ROW
         EXECUTE PROCEDURE moddatetime(updated_at);
        `,
-      down: sql`DROP TRIGGER IF EXISTS handle_updated_at ON "${tableName}";`,
+      down: sql`DROP TRIGGER IF EXISTS handle_updated_at ON ${quoteQualifiedName(
+        tableName
+      )};`,
     };
   },
 };
@@ -115,13 +277,347 @@ sql.function = {
   },
 };
 
-sql.type = function (name, value) {
+sql.view = function (name, query, { columns } = {}) {
+  const viewColumns = columns
+    ? ` (${columns.map((column) => `"${column}"`).join(", ")})`
+    : "";
+
+  return {
+    name,
+    up: `CREATE OR REPLACE VIEW ${quoteQualifiedName(
+      name
+    )}${viewColumns} AS\n${trimQuery(query)};`,
+    down: `DROP VIEW IF EXISTS ${quoteQualifiedName(name)};`,
+  };
+};
+
+// Created WITH NO DATA when withData is false, until refresh is run
+sql.materializedView = function (name, query, { withData = true } = {}) {
+  return {
+    name,
+    up: `CREATE MATERIALIZED VIEW IF NOT EXISTS ${quoteQualifiedName(
+      name
+    )} AS\n${trimQuery(query)}\nWITH ${withData ? "" : "NO "}DATA;`,
+    down: `DROP MATERIALIZED VIEW IF EXISTS ${quoteQualifiedName(name)};`,
+    refresh: `REFRESH MATERIALIZED VIEW ${quoteQualifiedName(name)};`,
+  };
+};
+
+sql.type = function (name, value, { schema } = {}) {
+  const typeName = quoteQualifiedName(qualifyName(schema, name));
+
+  return {
+    ...(schema ? { schema } : {}),
+    up: sql`CREATE TYPE ${typeName} AS ${value};`,
+    down: sql`DROP TYPE IF EXISTS ${typeName};`,
+  };
+};
+
+sql.enum = function (name, values, { renamedValues, schema } = {}) {
+  const typeName = quoteQualifiedName(qualifyName(schema, name));
+
+  return {
+    name,
+    ...(schema ? { schema } : {}),
+    values,
+    ...(renamedValues ? { renamedValues } : {}),
+    up: `CREATE TYPE ${typeName} AS ENUM (${values
+      .map(quoteLiteral)
+      .join(", ")});`,
+    down: `DROP TYPE IF EXISTS ${typeName};`,
+  };
+};
+
+sql.schema = function (name) {
+  return {
+    name,
+    up: `CREATE SCHEMA IF NOT EXISTS "${name}";`,
+    down: `DROP SCHEMA IF EXISTS "${name}";`,
+  };
+};
+
+// Turn the previousValues of an enum into values. Added values go to upAddValues
+// and downAddValues, apart from the other statements. Removed or reordered
+// values recreate the type and cast the columns using it,
+// [{ tableName, columnName, defaultValue }]
+sql.alterEnum = function (
+  name,
+  previousValues,
+  values,
+  { renamedValues = {}, columns = [] } = {}
+) {
+  const up = alterEnumValues(name, previousValues, values, {
+    renamedValues,
+    columns,
+  });
+  const down = alterEnumValues(name, values, previousValues, {
+    renamedValues: Object.fromEntries(
+      Object.entries(renamedValues).map(([from, to]) => [to, from])
+    ),
+    columns,
+  });
+
   return {
-    up: sql`CREATE TYPE "${name}" AS ${value};`,
-    down: sql`DROP TYPE IF EXISTS "${name}";`,
+    up: up.statements.join("\n"),
+    down: down.statements.join("\n"),
+    upAddValues: up.addValues.join("\n"),
+    downAddValues: down.addValues.join("\n"),
   };
 };
 
+function trimQuery(query) {
+  return stripIndents(query).trim().replace(/;$/, "");
+}
+
+function alterEnumValues(
+  name,
+  previousValues,
+  values,
+  { renamedValues, columns }
+) {
+  const alterType = `ALTER TYPE ${quoteQualifiedName(name)}`;
+  const statements = [];
+  const addValues = [];
+
+  // Renames apply when the old value goes away and the new one appears
+  let currentValues = [...previousValues];
+  const originalValues = new Map();
+  for (const [from, to] of Object.entries(renamedValues)) {
+    if (
+      currentValues.includes(from) &&
+      !currentValues.includes(to) &&
+      values.includes(to) &&
+      !values.includes(from)
+    ) {
+      statements.push(
+        `${alterType} RENAME VALUE ${quoteLiteral(from)} TO ${quoteLiteral(
+          to
+        )};`
+      );
+      currentValues = currentValues.map((value) =>
+        value === from ? to : value
+      );
+      originalValues.set(to, from);
+    }
+  }
+
+  const keptValues = values.filter((value) => currentValues.includes(value));
+  const isAddOnly =
+    keptValues.length === currentValues.length &&
+    keptValues.every((value, i) => value === currentValues[i]);
+
+  if (isAddOnly) {
+    values.forEach((value, i) => {
+      if (currentValues.includes(value)) {
+        return;
+      }
+
+      // Added values run ahead of the renames, next to the values as they
+      // were named before them
+      const neighbour = i > 0 ? values[i - 1] : currentValues[0];
+      const position = `${i > 0 ? "AFTER" : "BEFORE"} ${quoteLiteral(
+        originalValues.get(neighbour) ?? neighbour
+      )}`;
+      addValues.push(
+        `${alterType} ADD VALUE IF NOT EXISTS ${quoteLiteral(value)}${
+          currentValues.length > 0 ? ` ${position}` : ""
+        };`
+      );
+    });
+
+    return { statements, addValues };
+  }
+
+  // The type is renamed within its schema
+  const { schema, name: typeName } = splitQualifiedName(name);
+  const oldName = `${typeName}__old`;
+  const quotedName = quoteQualifiedName(name);
+  statements.push(`${alterType} RENAME TO "${oldName}";`);
+  statements.push(sql.enum(typeName, values, { schema }).up);
+  for (const { tableName, columnName, defaultValue } of columns) {
+    const alterColumn = `ALTER TABLE ${quoteQualifiedName(
+      tableName
+    )} ALTER COLUMN "${columnName}"`;
+    if (defaultValue) {
+      statements.push(`${alterColumn} DROP DEFAULT;`);
+    }
+    statements.push(
+      `${alterColumn} TYPE ${quotedName} USING "${columnName}"::text::${quotedName};`
+    );
+    if (defaultValue) {
+      statements.push(`${alterColumn} SET DEFAULT ${defaultValue};`);
+    }
+  }
+  statements.push(
+    `DROP TYPE ${quoteQualifiedName(qualifyName(schema, oldName))};`
+  );
+
+  return { statements, addValues };
+}
+
+function quoteLiteral(str) {
+  return `'${str.replace(/'/g, "''")}'`;
+}
+
+function alterColumnChanges(qualifiedTableName, previousColumn, column) {
+  const alterTable = `ALTER TABLE ${quoteQualifiedName(qualifiedTableName)}`;
+  const tableName = splitQualifiedName(qualifiedTableName).name;
+  const alterColumn = `${alterTable} ALTER COLUMN "${column.name}"`;
+  const changes = [];
+
+  if (previousColumn.type.toUpperCase() !== column.type.toUpperCase()) {
+    changes.push({
+      up: `${alterColumn} TYPE ${column.type} USING "${column.name}"::${column.type};`,
+      down: `${alterColumn} TYPE ${previousColumn.type} USING "${column.name}"::${previousColumn.type};`,
+    });
+  }
+
+  if (previousColumn.defaultValue !== column.defaultValue) {
+    changes.push({
+      up: column.defaultValue
+        ? `${alterColumn} SET DEFAULT ${column.defaultValue};`
+        : `${alterColumn} DROP DEFAULT;`,
+      down: previousColumn.defaultValue
+        ? `${alterColumn} SET DEFAULT ${previousColumn.defaultValue};`
+        : `${alterColumn} DROP DEFAULT;`,
+    });
+  }
+
+  if (previousColumn.notNull !== column.notNull) {
+    changes.push({
+      up: `${alterColumn} ${column.notNull ? "SET" : "DROP"} NOT NULL;`,
+      down: `${alterColumn} ${
+        previousColumn.notNull ? "SET" : "DROP"
+      } NOT NULL;`,
+    });
+  }
+
+  // Inline constraints are named by Postgres as <table>_<column>_<suffix>
+  const addUnique = `${alterTable} ADD CONSTRAINT "${tableName}_${column.name}_key" UNIQUE ("${column.name}");`;
+  const dropUnique = `${alterTable} DROP CONSTRAINT IF EXISTS "${tableName}_${column.name}_key";`;
+  if (!previousColumn.unique && column.unique) {
+    changes.push({ up: addUnique, down: dropUnique });
+  } else if (previousColumn.unique && !column.unique) {
+    changes.push({ up: dropUnique, down: addUnique });
+  }
+
+  const addPrimaryKey = `${alterTable} ADD CONSTRAINT "${tableName}_pkey" PRIMARY KEY ("${column.name}");`;
+  const dropPrimaryKey = `${alterTable} DROP CONSTRAINT IF EXISTS "${tableName}_pkey";`;
+  if (!previousColumn.primaryKey && column.primaryKey) {
+    changes.push({ up: addPrimaryKey, down: dropPrimaryKey });
+  } else if (previousColumn.primaryKey && !column.primaryKey) {
+    changes.push({ up: dropPrimaryKey, down: addPrimaryKey });
+  }
+
+  if (previousColumn.references !== column.references) {
+    const foreignKeyName = `${tableName}_${column.name}_fkey`;
+    const dropForeignKey = `${alterTable} DROP CONSTRAINT IF EXISTS "${foreignKeyName}";`;
+    if (previousColumn.references) {
+      changes.push({
+        up: dropForeignKey,
+        down: `${alterTable} ADD CONSTRAINT "${foreignKeyName}" FOREIGN KEY ("${column.name}") REFERENCES ${previousColumn.references};`,
+      });
+    }
+    if (column.references) {
+      changes.push({
+        up: `${alterTable} ADD CONSTRAINT "${foreignKeyName}" FOREIGN KEY ("${column.name}") REFERENCES ${column.references};`,
+        down: dropForeignKey,
+      });
+    }
+  }
+
+  const previousConstraints = previousColumn.constraints.join(" ");
+  const constraints = column.constraints.join(" ");
+  if (previousConstraints !== constraints) {
+    throw new Error(
+      `Cannot diff constraints of column "${tableName}"."${column.name}" ("${previousConstraints}" -> "${constraints}"), write this change by hand`
+    );
+  }
+
+  return changes;
+}
+
+export function formatReferenceOptions({
+  onDelete,
+  onUpdate,
+  deferrable = false,
+  initiallyDeferred = false,
+} = {}) {
+  return [
+    onDelete ? ` ON DELETE ${onDelete}` : "",
+    onUpdate ? ` ON UPDATE ${onUpdate}` : "",
+    deferrable || initiallyDeferred ? " DEFERRABLE" : "",
+    initiallyDeferred ? " INITIALLY DEFERRED" : "",
+  ].join("");
+}
+
+// Same spirit as <table>_id: <table>_<columns>_idx, or _unique_idx.
+// _key is left to the UNIQUE constraints Postgres names itself
+export function getIndexName(tableName, columns, { unique = false } = {}) {
+  const columnsPart = columns
+    .map((column) => {
+      const plainColumn = column.trim().match(/^(\w+)(\s+[^()]+)?$/);
+      return (plainColumn ? plainColumn[1] : column)
+        .toLowerCase()
+        .replace(/[^a-z0-9_]+/g, "_")
+        .replace(/^_+|_+$/g, "");
+    })
+    .join("_");
+
+  return `${splitQualifiedName(tableName).name}_${columnsPart}_${
+    unique ? "unique_idx" : "idx"
+  }`;
+}
+
+// Quote plain columns (optionally followed by ordering or an operator class),
+// wrap expressions in parentheses
+export function formatIndexColumn(column, quote) {
+  const match = column.trim().match(/^(\w+)(\s+[^()]+)?$/);
+  if (match) {
+    return `${quote}${match[1]}${quote}${match[2] || ""}`;
+  }
+
+  return `(${column.trim()})`;
+}
+
+// Entity names are qualified as <schema>.<name> when they have a schema
+export function qualifyName(schema, name) {
+  return schema ? `${schema}.${name}` : name;
+}
+
+export function splitQualifiedName(qualifiedName) {
+  const dotIndex = qualifiedName.indexOf(".");
+  if (dotIndex === -1) {
+    return { schema: null, name: qualifiedName };
+  }
+
+  return {
+    schema: qualifiedName.slice(0, dotIndex),
+    name: qualifiedName.slice(dotIndex + 1),
+  };
+}
+
+// Unqualified names point at the schema of the entity naming them
+export function resolveName(name, schema) {
+  return name.includes(".") ? name : qualifyName(schema, name);
+}
+
+export function quoteQualifiedName(qualifiedName, quote = '"') {
+  const { schema, name } = splitQualifiedName(qualifiedName);
+  return `${schema ? `${quote}${schema}${quote}.` : ""}${quote}${name}${quote}`;
+}
+
+function getConstraintName(tableName, constraint) {
+  const match = constraint.match(/^CONSTRAINT\s+"?([^\s"]+)"?/i);
+  if (!match) {
+    throw new Error(
+      `Cannot diff unnamed constraint "${constraint}" on table "${tableName}", prefix it with CONSTRAINT <name>`
+    );
+  }
+
+  return match[1];
+}
+
 function formatCreateTableStr(createTableStr) {
   const createTableStrArr = createTableStr.split("\n");
   const firstLine = createTableStrArr[0];
@@ -0,0 +1,410 @@
+import { z } from "zod";
+import semver from "semver";
+import parseColumnDefinition from "./parseColumnDefinition.js";
+import { qualifyName, resolveName } from "./sql.js";
+
+const REFERENCE_ACTION_REGEX =
+  /^(CASCADE|RESTRICT|NO ACTION|SET NULL|SET DEFAULT)$/i;
+
+// Schemas are set apart, names are qualified by sql-mirror
+const nameSchema = z
+  .string()
+  .min(1)
+  .regex(/^[^.]+$/, 'Expected a name without ".", set schema instead');
+
+// Blank columns are reported here, not by the column parser
+const columnSchema = z.string().regex(/\S/, "Expected a column definition");
+
+const chunkSchema = z
+  .object({
+    name: z.string().min(1).optional(),
+    up: z.string(),
+    down: z.string(),
+  })
+  .strict();
+
+const typeSchema = chunkSchema.extend({
+  name: nameSchema.optional(),
+  schema: nameSchema.optional(),
+  values: z.array(z.string()).nonempty().optional(),
+  renamedValues: z.record(z.string()).optional(),
+});
+
+const functionSchema = chunkSchema
+  .extend({
+    name: nameSchema.optional(),
+    schema: nameSchema.optional(),
+    dependsOn: z.array(z.string().min(1)).optional(),
+  })
+  .superRefine((sqlFunction, ctx) => {
+    if (sqlFunction.dependsOn && !sqlFunction.name) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["name"],
+        message: "Functions with dependsOn must be named",
+      });
+    }
+  });
+
+const referenceActionSchema = z
+  .string()
+  .regex(
+    REFERENCE_ACTION_REGEX,
+    "Expected CASCADE, RESTRICT, NO ACTION, SET NULL or SET DEFAULT"
+  );
+
+const referenceSchema = z
+  .object({
+    columnName: z.string().min(1).optional(),
+    columnNames: z.array(z.string().min(1)).nonempty().optional(),
+    tableNameRef: z.string().min(1),
+    columnNameRef: z.string().min(1).optional(),
+    columnNamesRef: z.array(z.string().min(1)).nonempty().optional(),
+    type: z.string().min(1).optional(),
+    nullable: z.boolean().optional(),
+    onDelete: referenceActionSchema.optional(),
+    onUpdate: referenceActionSchema.optional(),
+    deferrable: z.boolean().optional(),
+    initiallyDeferred: z.boolean().optional(),
+    index: z.boolean().optional(),
+  })
+  .strict()
+  .superRefine((reference, ctx) => {
+    if (!reference.columnName === !reference.columnNames) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Expected either columnName or columnNames",
+      });
+    }
+
+    if (
+      reference.columnNames &&
+      reference.columnNamesRef &&
+      reference.columnNames.length !== reference.columnNamesRef.length
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["columnNamesRef"],
+        message: "Expected as many columns as columnNames",
+      });
+    }
+  });
+
+const pluginSchema = z
+  .object({
+    extensions: z.array(chunkSchema).optional(),
+    columns: z.array(z.function()).optional(),
+    triggers: z.array(z.function()).optional(),
+  })
+  .strict();
+
+const indexColumnsSchema = z.union([
+  z.string().min(1),
+  z.array(z.string().min(1)).nonempty(),
+]);
+
+const indexSchema = z.union([
+  indexColumnsSchema,
+  z
+    .object({
+      columns: indexColumnsSchema,
+      unique: z.boolean().optional(),
+      where: z.string().min(1).optional(),
+      using: z.string().min(1).optional(),
+      name: z.string().min(1).optional(),
+    })
+    .strict(),
+]);
+
+const tableSchema = z
+  .object({
+    name: nameSchema,
+    schema: nameSchema.optional(),
+    columns: z.array(columnSchema).optional(),
+    references: z.array(referenceSchema).optional(),
+    constraints: z.array(z.string().min(1)).optional(),
+    plugins: z.array(pluginSchema).optional(),
+    types: z.array(typeSchema).optional(),
+    options: z
+      .object({
+        disableId: z.boolean().optional(),
+        indexReferences: z.boolean().optional(),
+      })
+      .strict()
+      .nullish(),
+    indexes: z.array(indexSchema).optional(),
+  })
+  .strict()
+  .superRefine(refineTableColumns);
+
+const viewSchema = z
+  .object({
+    name: nameSchema,
+    schema: nameSchema.optional(),
+    query: z.string().min(1),
+    columns: z.array(z.string().min(1)).optional(),
+    dependsOn: z.array(z.string().min(1)).optional(),
+  })
+  .strict();
+
+const materializedViewSchema = z
+  .object({
+    name: nameSchema,
+    schema: nameSchema.optional(),
+    query: z.string().min(1),
+    dependsOn: z.array(z.string().min(1)).optional(),
+    indexes: z.array(indexSchema).optional(),
+    refresh: z.boolean().optional(),
+  })
+  .strict();
+
+// Timeouts in milliseconds or with a unit like "5s", written to one header
+// line of the migration files
+const timeoutSchema = z.union([
+  z.number().int().nonnegative(),
+  z.string().regex(/^\d+(us|ms|s|min|h|d)?$/, 'Expected a timeout like "5s"'),
+]);
+
+const migrationOptionsSchema = z
+  .object({
+    transaction: z.boolean().optional(),
+    lockTimeout: timeoutSchema.optional(),
+    statementTimeout: timeoutSchema.optional(),
+    // First version folded into a squashed migration
+    squash: z
+      .string()
+      .refine((version) => semver.valid(version), "Expected a version")
+      .optional(),
+  })
+  .strict();
+
+// Tables and views share the relation namespace
+const RELATION_CONFIG_KEYS = ["tables", "views", "materializedViews"];
+const ENTITY_CONFIG_KEYS = [...RELATION_CONFIG_KEYS, "functions"];
+
+// Repeatable migrations are applied again as a whole, only what CREATE OR
+// REPLACE can update belongs there
+const REPEATABLE_CONFIG_KEYS = ["functions", "views", "options"];
+
+export const sqlConfigSchema = z
+  .object({
+    extensions: z.array(chunkSchema.required({ name: true })).optional(),
+    functions: z.array(functionSchema).optional(),
+    tables: z.array(tableSchema).optional(),
+    views: z.array(viewSchema).optional(),
+    materializedViews: z.array(materializedViewSchema).optional(),
+    options: migrationOptionsSchema.optional(),
+    raw: chunkSchema.omit({ name: true }).optional(),
+  })
+  .strict()
+  .superRefine((sqlFileConfig, ctx) => {
+    const relationNames = new Set();
+
+    for (const configKey of RELATION_CONFIG_KEYS) {
+      (sqlFileConfig[configKey] || []).forEach((relation, i) => {
+        const relationName = qualifyName(relation.schema, relation.name);
+        if (relationNames.has(relationName)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [configKey, i, "name"],
+            message: `Duplicate table or view "${relationName}"`,
+          });
+        }
+        relationNames.add(relationName);
+      });
+    }
+  });
+
+// Columns added by sql-mirror count as declared, a duplicate is reported once
+function refineTableColumns(table, ctx) {
+  const {
+    name: tableName,
+    columns = [],
+    references = [],
+    plugins = [],
+  } = table;
+
+  const generatedColumnNames = new Map();
+  if (!table.options?.disableId) {
+    generatedColumnNames.set(
+      `${tableName}_id`,
+      "the id column added by sql-mirror, set options.disableId to declare it"
+    );
+  }
+  for (const plugin of plugins) {
+    for (const column of plugin.columns || []) {
+      generatedColumnNames.set(
+        parseColumnDefinition(column()).name,
+        "the column added by a table plugin"
+      );
+    }
+  }
+
+  const declaredColumnNames = new Set();
+
+  function addColumnName(columnName, path) {
+    if (generatedColumnNames.has(columnName)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path,
+        message: `Column "${columnName}" collides with ${generatedColumnNames.get(
+          columnName
+        )}`,
+      });
+    } else if (declaredColumnNames.has(columnName)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path,
+        message: `Duplicate column "${columnName}"`,
+      });
+    }
+    declaredColumnNames.add(columnName);
+  }
+
+  references.forEach((reference, i) => {
+    if (reference.columnName) {
+      addColumnName(reference.columnName, ["references", i, "columnName"]);
+    }
+  });
+
+  columns.forEach((column, i) => {
+    if (columnSchema.safeParse(column).success) {
+      addColumnName(parseColumnDefinition(column).name, ["columns", i]);
+    }
+  });
+
+  references.forEach((reference, i) => {
+    (reference.columnNames || []).forEach((columnName, j) => {
+      if (
+        !declaredColumnNames.has(columnName) &&
+        !generatedColumnNames.has(columnName)
+      ) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["references", i, "columnNames", j],
+          message: `Unknown column "${columnName}", composite references use columns declared in columns`,
+        });
+      }
+    });
+  });
+}
+
+// Throws every problem of a config at once, references may point at tables
+// of previousConfig. Names are resolved like generateSqlFileContent does with
+// the default schema
+export default function validateSqlConfig(
+  sqlFileConfig,
+  { previousConfig = {}, source, schema, repeatable = false } = {}
+) {
+  const issues = [];
+
+  const result = sqlConfigSchema.safeParse(sqlFileConfig);
+  if (!result.success) {
+    issues.push(...result.error.issues.flatMap(formatIssue));
+  }
+
+  if (repeatable && sqlFileConfig && typeof sqlFileConfig === "object") {
+    for (const configKey of Object.keys(sqlFileConfig)) {
+      const isKnownKey = [...ENTITY_CONFIG_KEYS, "extensions", "raw"].includes(
+        configKey
+      );
+      if (isKnownKey && !REPEATABLE_CONFIG_KEYS.includes(configKey)) {
+        issues.push(
+          `${formatPath([
+            configKey,
+          ])}: Not allowed in a repeatable migration, ` +
+            `expected ${REPEATABLE_CONFIG_KEYS.join(", ")}`
+        );
+      }
+    }
+  }
+
+  function getEntitySchema(entity) {
+    return entity?.schema ?? schema;
+  }
+
+  function getEntityName(entity) {
+    return qualifyName(getEntitySchema(entity), entity?.name);
+  }
+
+  const tables = toArray(sqlFileConfig?.tables);
+  const tableNames = new Set([
+    ...tables.map(getEntityName),
+    ...toArray(previousConfig.tables).map(getEntityName),
+  ]);
+  const entityNames = new Set(
+    ENTITY_CONFIG_KEYS.flatMap((configKey) => [
+      ...toArray(sqlFileConfig?.[configKey]).map(getEntityName),
+      ...toArray(previousConfig[configKey]).map(getEntityName),
+    ])
+  );
+
+  for (const configKey of ENTITY_CONFIG_KEYS) {
+    toArray(sqlFileConfig?.[configKey]).forEach((entity, i) => {
+      toArray(entity?.dependsOn).forEach((name, j) => {
+        if (
+          typeof name === "string" &&
+          !entityNames.has(resolveName(name, getEntitySchema(entity)))
+        ) {
+          issues.push(
+            `${formatPath([configKey, i, "dependsOn", j])}: ` +
+              `Unknown dependency "${name}"`
+          );
+        }
+      });
+    });
+  }
+
+  tables.forEach((table, i) => {
+    toArray(table?.references).forEach((reference, j) => {
+      if (
+        typeof reference?.tableNameRef === "string" &&
+        !tableNames.has(
+          resolveName(reference.tableNameRef, getEntitySchema(table))
+        )
+      ) {
+        issues.push(
+          `${formatPath(["tables", i, "references", j, "tableNameRef"])}: ` +
+            `Unknown table "${reference.tableNameRef}"`
+        );
+      }
+    });
+  });
+
+  if (issues.length > 0) {
+    throw new Error(
+      `Invalid sql-mirror config${source ? ` in ${source}` : ""}:\n${issues
+        .map((issue) => `  - ${issue}`)
+        .join("\n")}`
+    );
+  }
+
+  return sqlFileConfig;
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function formatIssue(issue) {
+  if (issue.code === z.ZodIssueCode.unrecognized_keys) {
+    return issue.keys.map(
+      (key) => `${formatPath([...issue.path, key])}: Unknown key "${key}"`
+    );
+  }
+
+  return [`${formatPath(issue.path)}: ${issue.message}`];
+}
+
+// ["tables", 3, "references", 0] -> tables[3].references[0]
+function formatPath(path) {
+  if (path.length === 0) {
+    return "config";
+  }
+
+  return path
+    .map((key, i) =>
+      typeof key === "number" ? `[${key}]` : `${i > 0 ? "." : ""}${key}`
+    )
+    .join("");
+}
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+} from "./helpers.js";
+
+const MIGRATION_FILES = {
+  ...configMigration(
+    "1.0.0",
+    "author",
+    `{
+      extensions: [sql.extension.uuid],
+      tables: [{ name: "author", columns: ["name TEXT NOT NULL"] }],
+    }`
+  ),
+  ...configMigration(
+    "2.0.0",
+    "book",
+    `{ tables: [{ name: "book", columns: ["title TEXT NOT NULL"] }] }`
+  ),
+};
+
+describe("baseline", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir(MIGRATION_FILES);
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+    await migrator.build();
+    // The existing database holds the extension but not the author table, so
+    // that running 1.0.0 would show
+    await db.exec('CREATE EXTENSION "uuid-ossp";');
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  test("baseline records migrations as applied without running them", async () => {
+    assert.deepEqual(await migrator.baseline({ version: "1.0.0" }), [
+      "1.0.0U__author.sql",
+    ]);
+
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+    assert.deepEqual(
+      (await migrator.status()).map(({ version, state, baseline }) => [
+        version,
+        state,
+        baseline,
+      ]),
+      [
+        ["1.0.0", "applied", true],
+        ["2.0.0", "pending", false],
+      ]
+    );
+
+    await migrator.up();
+    assert.deepEqual(await getTableNames(db), ["book", "sqlmirror_migration"]);
+  });
+
+  test("down refuses to revert baselined migrations", async () => {
+    await migrator.baseline({ version: "1.0.0" });
+    await migrator.up();
+
+    await assert.rejects(
+      migrator.down({ all: true }),
+      /Cannot revert 1\.0\.0U__author\.sql, it was recorded by baseline and never applied/
+    );
+    assert.deepEqual(await getTableNames(db), ["book", "sqlmirror_migration"]);
+
+    await migrator.down();
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+    await assert.rejects(migrator.down(), /recorded by baseline/);
+  });
+
+  test("baseline is refused once migrations are applied", async () => {
+    await migrator.up({ to: "1.0.0" });
+
+    await assert.rejects(
+      migrator.baseline({ version: "2.0.0" }),
+      /Cannot baseline a database with applied migrations, last applied is 1\.0\.0U__author\.sql/
+    );
+    await assert.rejects(
+      migrator.baseline({ version: "3.0.0" }),
+      /Cannot baseline/
+    );
+  });
+
+  test("baseline needs the version of a migration", async () => {
+    await assert.rejects(
+      migrator.baseline({ version: "3.0.0" }),
+      /No migration with version 3\.0\.0/
+    );
+    await assert.rejects(
+      migrator.baseline({ version: "latest" }),
+      /Invalid version: latest/
+    );
+    assert.deepEqual(await getTableNames(db), []);
+  });
+});
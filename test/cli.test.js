@@ -0,0 +1,271 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { afterEach, beforeEach, test } from "node:test";
+import { configMigration, sqlMigration, writeFiles } from "./helpers.js";
+
+const ROOT_PATH = fileURLToPath(new URL("..", import.meta.url));
+const BIN_PATH = path.join(ROOT_PATH, "bin", "sqlmirror.js");
+
+let projectPath;
+
+// A project created by init, its configs importing this checkout
+beforeEach(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), "sql-mirror-cli-"));
+  await fs.mkdir(path.join(projectPath, "node_modules"));
+  await fs.symlink(
+    ROOT_PATH,
+    path.join(projectPath, "node_modules", "sql-mirror"),
+    "dir"
+  );
+  await sqlmirror("init");
+});
+
+afterEach(async () => {
+  await fs.rm(projectPath, { recursive: true });
+});
+
+async function sqlmirror(...args) {
+  const { DATABASE_URL, ...env } = process.env;
+  try {
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      [BIN_PATH, ...args],
+      { cwd: projectPath, env }
+    );
+    return { code: 0, stdout };
+  } catch (err) {
+    return { code: err.code, stdout: err.stdout, stderr: err.stderr };
+  }
+}
+
+test("commands without database run without DATABASE_URL", async () => {
+  assert.equal((await sqlmirror("create", "-n", "first")).code, 0);
+  assert.equal((await sqlmirror("build")).code, 0);
+  assert.equal((await sqlmirror("check")).code, 0);
+  assert.equal((await sqlmirror("lint")).code, 0);
+});
+
+test("commands connecting fail without DATABASE_URL", async () => {
+  const { code, stderr } = await sqlmirror("status");
+
+  assert.equal(code, 1);
+  assert.match(stderr, /Environment variable DATABASE_URL used by databaseURL/);
+});
+
+test("check fails until build writes the SQL of the configs", async () => {
+  await writeFiles(
+    path.join(projectPath, "migrations"),
+    configMigration(
+      "1.0.0",
+      "role",
+      `{
+        extensions: [sql.extension.uuid],
+        tables: [{ name: "role", columns: ["code TEXT NOT NULL"] }],
+      }`
+    )
+  );
+
+  assert.deepEqual(await sqlmirror("check"), {
+    code: 1,
+    stdout: "stale\t1.0.0U__role.sql\nstale\t1.0.0D__role.sql\n",
+    stderr: "",
+  });
+  assert.deepEqual(await sqlmirror("build"), {
+    code: 0,
+    stdout: "built\t1.0.0U__role.sql\nbuilt\t1.0.0D__role.sql\n",
+  });
+  const upSql = await fs.readFile(
+    path.join(projectPath, "migrations", "1.0.0U__role.sql"),
+    "utf8"
+  );
+
+  assert.deepEqual(await sqlmirror("build"), { code: 0, stdout: "" });
+  assert.equal(
+    await fs.readFile(
+      path.join(projectPath, "migrations", "1.0.0U__role.sql"),
+      "utf8"
+    ),
+    upSql
+  );
+  assert.deepEqual(await sqlmirror("check"), { code: 0, stdout: "" });
+});
+
+// A PGlite database in the project, and a migration creating a role table
+async function writePgliteProject() {
+  await writeFiles(projectPath, {
+    "sqlmirror.config.js": `export default {
+  databaseURL: "./pgdata",
+  driver: "pglite",
+  environments: { test: {} },
+};
+`,
+  });
+  await writeFiles(
+    path.join(projectPath, "migrations"),
+    configMigration(
+      "1.0.0",
+      "role",
+      `{
+        extensions: [sql.extension.uuid],
+        tables: [{ name: "role", columns: ["code TEXT NOT NULL UNIQUE"] }],
+      }`
+    )
+  );
+}
+
+test("plan and up --dry-run print the SQL without applying it", async () => {
+  await writePgliteProject();
+  assert.equal((await sqlmirror("build")).code, 0);
+  const upSql = await fs.readFile(
+    path.join(projectPath, "migrations", "1.0.0U__role.sql"),
+    "utf8"
+  );
+  const expectedOutput = `-- 1.0.0U__role.sql\n${upSql}\n\n`;
+
+  assert.deepEqual(await sqlmirror("plan"), {
+    code: 0,
+    stdout: expectedOutput,
+  });
+  assert.deepEqual(await sqlmirror("up", "--dry-run"), {
+    code: 0,
+    stdout: expectedOutput,
+  });
+  assert.equal(
+    (await sqlmirror("status")).stdout,
+    "1.0.0\tpending\t1.0.0U__role.sql\n"
+  );
+});
+
+test("seed runs the seeds of the global environment", async () => {
+  await writePgliteProject();
+  await fs.mkdir(path.join(projectPath, "seeds", "test"), { recursive: true });
+  await writeFiles(path.join(projectPath, "seeds"), {
+    "role.sql":
+      "INSERT INTO role (code) VALUES ('admin') ON CONFLICT DO NOTHING;",
+    "test/role.sql":
+      "INSERT INTO role (code) VALUES ('tester') ON CONFLICT DO NOTHING;",
+  });
+  assert.equal((await sqlmirror("build")).code, 0);
+  assert.equal((await sqlmirror("up")).code, 0);
+
+  const { stdout } = await sqlmirror("--env", "test", "seed");
+  assert.equal(stdout, "seeded\trole.sql\nseeded\ttest/role.sql\n");
+
+  const { stdout: forcedStdout } = await sqlmirror(
+    "seed",
+    "--seed-env",
+    "test",
+    "--force"
+  );
+  assert.match(forcedStdout, /seeded\ttest\/role\.sql/);
+});
+
+test("lint exits with an error code when a rule set to error reports", async () => {
+  await writeFiles(projectPath, {
+    "sqlmirror.config.js": `export default {
+  lint: { rules: { "varchar-length": "error" } },
+};
+`,
+  });
+  await writeFiles(
+    path.join(projectPath, "migrations"),
+    configMigration(
+      "1.0.0",
+      "role",
+      `{ tables: [{ name: "role", columns: ["code VARCHAR NOT NULL"] }] }`
+    )
+  );
+
+  const { code, stdout } = await sqlmirror("lint");
+  assert.equal(code, 1);
+  assert.equal(
+    stdout,
+    "1.0.0__role.js role.code\terror\tVARCHAR without length, use VARCHAR(n) or TEXT (varchar-length)\n" +
+      "1 problems (1 errors, 0 warnings)\n"
+  );
+
+  const { code: sinceCode, stdout: sinceStdout } = await sqlmirror(
+    "lint",
+    "--since",
+    "1.0.0"
+  );
+  assert.equal(sinceCode, 0);
+  assert.equal(sinceStdout, "0 problems (0 errors, 0 warnings)\n");
+});
+
+test("status flags edited and missing migrations, which block up", async () => {
+  await writePgliteProject();
+  await writeFiles(
+    path.join(projectPath, "migrations"),
+    sqlMigration(
+      "2.0.0",
+      "level",
+      "ALTER TABLE role ADD COLUMN level INTEGER;",
+      "ALTER TABLE role DROP COLUMN level;"
+    )
+  );
+  assert.equal((await sqlmirror("build")).code, 0);
+  assert.equal((await sqlmirror("up")).code, 0);
+  await fs.appendFile(
+    path.join(projectPath, "migrations", "1.0.0U__role.sql"),
+    "\n-- edited\n"
+  );
+  await fs.rm(path.join(projectPath, "migrations", "2.0.0U__level.sql"));
+
+  assert.equal(
+    (await sqlmirror("status")).stdout,
+    "1.0.0\tapplied\t1.0.0U__role.sql (edited since applied)\n" +
+      "2.0.0\tmissing\t2.0.0U__level.sql\n"
+  );
+  assert.deepEqual(await sqlmirror("up"), {
+    code: 1,
+    stdout: "",
+    stderr:
+      "error: Applied migrations were edited since they were applied: 1.0.0U__role.sql\n",
+  });
+  assert.deepEqual(await sqlmirror("up", "--ignore-checksum"), {
+    code: 0,
+    stdout: "",
+  });
+});
+
+test("up --to and down --steps stop at the versions they are given", async () => {
+  await writePgliteProject();
+  await writeFiles(path.join(projectPath, "migrations"), {
+    ...sqlMigration(
+      "2.0.0",
+      "level",
+      "ALTER TABLE role ADD COLUMN level INTEGER;",
+      "ALTER TABLE role DROP COLUMN level;"
+    ),
+    ...sqlMigration(
+      "3.0.0",
+      "label",
+      "ALTER TABLE role ADD COLUMN label TEXT;",
+      "ALTER TABLE role DROP COLUMN label;"
+    ),
+  });
+  assert.equal((await sqlmirror("build")).code, 0);
+
+  assert.equal((await sqlmirror("up", "--to", "2.0.0")).code, 0);
+  assert.equal(
+    (await sqlmirror("status")).stdout,
+    "1.0.0\tapplied\t1.0.0U__role.sql\n" +
+      "2.0.0\tapplied\t2.0.0U__level.sql\n" +
+      "3.0.0\tpending\t3.0.0U__label.sql\n"
+  );
+
+  assert.equal((await sqlmirror("up")).code, 0);
+  assert.equal((await sqlmirror("down", "--steps", "2")).code, 0);
+  assert.equal(
+    (await sqlmirror("status")).stdout,
+    "1.0.0\tapplied\t1.0.0U__role.sql\n" +
+      "2.0.0\tpending\t2.0.0U__level.sql\n" +
+      "3.0.0\tpending\t3.0.0U__label.sql\n"
+  );
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import SQLMirrorMigrator from "../lib/SQLMirrorMigrator.js";
+import {
+  configMigration,
+  createMigrationsDir,
+  removeMigrationsDir,
+} from "./helpers.js";
+
+let migrationsDirPath;
+
+beforeEach(async () => {
+  migrationsDirPath = await createMigrationsDir(
+    configMigration(
+      "1.0.0",
+      "book",
+      `{
+        tables: [
+          { name: "author", columns: ["name TEXT NOT NULL"] },
+          {
+            name: "book",
+            columns: ["title TEXT NOT NULL"],
+            references: [{ columnName: "author_id", tableNameRef: "author" }],
+          },
+        ],
+      }`
+    )
+  );
+});
+
+afterEach(async () => {
+  await removeMigrationsDir(migrationsDirPath);
+});
+
+test("diagram names tables after the default schema", async () => {
+  const migrator = new SQLMirrorMigrator(null, migrationsDirPath, {
+    schema: "app",
+  });
+
+  const diagram = await migrator.diagram({ format: "dbml" });
+
+  assert.match(diagram, /^Table app\.author \{$/m);
+  assert.match(diagram, /^Table app\.book \{$/m);
+  assert.match(
+    diagram,
+    /^Ref: app\.book\.author_id > app\.author\.author_id$/m
+  );
+});
+
+test("diagram draws references between tables", async () => {
+  const migrator = new SQLMirrorMigrator(null, migrationsDirPath);
+
+  const diagram = await migrator.diagram();
+
+  assert.match(diagram, /^ {2}author \|\|--o\{ book : "author_id"$/m);
+});
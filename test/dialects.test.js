@@ -0,0 +1,236 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import generateSqlFileContent from "../lib/generateSqlFileContent.js";
+import sql from "../lib/sql.js";
+
+const config = {
+  tables: [
+    { name: "author", columns: ["name TEXT NOT NULL"] },
+    {
+      name: "book",
+      columns: ["title TEXT NOT NULL"],
+      references: [
+        { columnName: "author_id", tableNameRef: "author", index: true },
+      ],
+      indexes: ["title"],
+    },
+  ],
+};
+
+test("mysql drops tables with the indexes backing their foreign keys", () => {
+  const { down } = generateSqlFileContent(config, { dialect: "mysql" });
+
+  assert.equal(
+    down,
+    `-- This file was generated via sql-mirror
+START TRANSACTION;
+
+DROP TABLE IF EXISTS \`book\`;
+
+DROP TABLE IF EXISTS \`author\`;
+
+
+
+
+
+COMMIT;`
+  );
+});
+
+test("postgres drops the indexes of a table before it", () => {
+  const { down } = generateSqlFileContent(config);
+
+  assert.equal(
+    down,
+    `-- This file was generated via sql-mirror
+BEGIN TRANSACTION;
+
+DROP INDEX IF EXISTS "book_author_id_idx";
+DROP INDEX IF EXISTS "book_title_idx";
+DROP TABLE IF EXISTS "book";
+
+DROP TABLE IF EXISTS "author";
+
+
+
+
+
+COMMIT TRANSACTION;`
+  );
+});
+
+const pluginConfig = {
+  extensions: [sql.extension.uuid],
+  tables: [
+    {
+      name: "author",
+      columns: ["name VARCHAR(100) NOT NULL", "profile JSONB"],
+      plugins: [sql.tablePlugin.created_at, sql.tablePlugin.updated_at],
+    },
+    {
+      name: "book",
+      columns: ["title TEXT NOT NULL"],
+      references: [
+        {
+          columnName: "author_id",
+          tableNameRef: "author",
+          onDelete: "CASCADE",
+        },
+      ],
+    },
+  ],
+};
+
+test("sqlite translates types, uuid ids and updated_at", () => {
+  const { up } = generateSqlFileContent(pluginConfig, { dialect: "sqlite" });
+
+  assert.equal(
+    up,
+    `-- This file was generated via sql-mirror
+BEGIN TRANSACTION;
+
+
+CREATE TABLE IF NOT EXISTS "author" (
+    "author_id" TEXT PRIMARY KEY,
+    "name" VARCHAR(100) NOT NULL,
+    "profile" TEXT,
+    "created_at" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP
+);
+CREATE TRIGGER "handle_updated_at_author" AFTER UPDATE ON "author"
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+UPDATE "author" SET updated_at = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+END;
+
+
+CREATE TABLE IF NOT EXISTS "book" (
+    "book_id" TEXT PRIMARY KEY,
+    "author_id" TEXT NOT NULL REFERENCES "author"("author_id") ON DELETE CASCADE,
+    "title" TEXT NOT NULL
+);
+
+
+
+
+COMMIT TRANSACTION;`
+  );
+});
+
+test("mysql translates types, uuid ids, updated_at and references", () => {
+  const { up } = generateSqlFileContent(pluginConfig, { dialect: "mysql" });
+
+  assert.equal(
+    up,
+    `-- This file was generated via sql-mirror
+START TRANSACTION;
+
+
+CREATE TABLE IF NOT EXISTS \`author\` (
+    \`author_id\` CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    \`name\` VARCHAR(100) NOT NULL,
+    \`profile\` JSON,
+    \`created_at\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    \`updated_at\` TIMESTAMP
+);
+ALTER TABLE \`author\` MODIFY COLUMN \`updated_at\` TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP;
+
+
+CREATE TABLE IF NOT EXISTS \`book\` (
+    \`book_id\` CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    \`author_id\` CHAR(36) NOT NULL,
+    \`title\` TEXT NOT NULL,
+    FOREIGN KEY (\`author_id\`) REFERENCES \`author\`(\`author_id\`) ON DELETE CASCADE
+);
+
+
+
+
+COMMIT;`
+  );
+});
+
+test("chunks without translation fail naming the chunk and its table", () => {
+  assert.throws(
+    () =>
+      generateSqlFileContent(
+        {
+          tables: [
+            {
+              name: "person",
+              types: [sql.enum("mood", ["happy", "sad"])],
+              columns: [sql.column.enum("mood", "mood")],
+            },
+          ],
+        },
+        { dialect: "sqlite" }
+      ),
+    /^Error: Dialect "sqlite" does not support type "mood" \(table "person"\)$/
+  );
+  assert.throws(
+    () =>
+      generateSqlFileContent(
+        {
+          extensions: [
+            {
+              name: "postgis",
+              up: "CREATE EXTENSION postgis;",
+              down: "DROP EXTENSION postgis;",
+            },
+          ],
+          tables: [],
+        },
+        { dialect: "mysql" }
+      ),
+    /^Error: Dialect "mysql" does not support extension "postgis"$/
+  );
+  assert.throws(
+    () =>
+      generateSqlFileContent(
+        {
+          tables: [
+            {
+              name: "shelf",
+              references: [
+                {
+                  columnName: "book_id",
+                  tableNameRef: "book",
+                  deferrable: true,
+                },
+              ],
+            },
+            { name: "book" },
+          ],
+        },
+        { dialect: "mysql" }
+      ),
+    /^Error: Dialect "mysql" does not support deferrable reference \(table "shelf"\)$/
+  );
+  assert.throws(
+    () =>
+      generateSqlFileContent(
+        {
+          tables: [
+            {
+              name: "author",
+              references: [{ columnName: "book_id", tableNameRef: "book" }],
+            },
+            {
+              name: "book",
+              references: [{ columnName: "author_id", tableNameRef: "author" }],
+            },
+          ],
+        },
+        { dialect: "sqlite" }
+      ),
+    /^Error: Dialect "sqlite" does not support cyclic reference to "author" \(table "book"\)$/
+  );
+  assert.throws(
+    () =>
+      generateSqlFileContent(config, {
+        dialect: "sqlite",
+        previousConfig: { tables: [{ name: "author" }] },
+      }),
+    /^Error: Dialect "sqlite" does not support schema diffing \(table "author"\)$/
+  );
+});
@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { PGlite } from "@electric-sql/pglite";
+import generateSqlFileContent from "../lib/generateSqlFileContent.js";
+
+const previousConfig = {
+  tables: [
+    {
+      name: "book",
+      columns: [
+        "title TEXT",
+        "isbn TEXT NOT NULL",
+        "pages INTEGER",
+        "code TEXT UNIQUE",
+        "summary TEXT",
+      ],
+      constraints: [
+        "CONSTRAINT book_pages_check CHECK (pages > 0)",
+        "CONSTRAINT book_isbn_key UNIQUE (isbn)",
+      ],
+      options: { disableId: true },
+    },
+  ],
+};
+
+const config = {
+  tables: [
+    {
+      name: "book",
+      columns: [
+        "title TEXT NOT NULL DEFAULT 'untitled'",
+        "pages BIGINT",
+        "code TEXT",
+        "summary TEXT UNIQUE",
+        "note TEXT",
+      ],
+      constraints: [
+        "CONSTRAINT book_pages_check CHECK (pages > 1)",
+        "CONSTRAINT book_title_key UNIQUE (title)",
+      ],
+      options: { disableId: true },
+    },
+  ],
+};
+
+test("a table declared again is altered column by column", () => {
+  const { up, down } = generateSqlFileContent(config, { previousConfig });
+
+  assert.equal(
+    up,
+    `-- This file was generated via sql-mirror
+BEGIN TRANSACTION;
+
+ALTER TABLE "book" DROP CONSTRAINT IF EXISTS "book_pages_check";
+ALTER TABLE "book" DROP CONSTRAINT IF EXISTS "book_isbn_key";
+ALTER TABLE "book" ALTER COLUMN "title" SET DEFAULT 'untitled';
+ALTER TABLE "book" ALTER COLUMN "title" SET NOT NULL;
+ALTER TABLE "book" ALTER COLUMN "pages" TYPE BIGINT USING "pages"::BIGINT;
+ALTER TABLE "book" DROP CONSTRAINT IF EXISTS "book_code_key";
+ALTER TABLE "book" ADD CONSTRAINT "book_summary_key" UNIQUE ("summary");
+ALTER TABLE "book" ADD COLUMN "note" TEXT;
+ALTER TABLE "book" DROP COLUMN IF EXISTS "isbn";
+ALTER TABLE "book" ADD CONSTRAINT book_pages_check CHECK (pages > 1);
+ALTER TABLE "book" ADD CONSTRAINT book_title_key UNIQUE (title);
+
+
+
+
+COMMIT TRANSACTION;`
+  );
+  assert.equal(
+    down,
+    `-- This file was generated via sql-mirror
+BEGIN TRANSACTION;
+
+ALTER TABLE "book" DROP CONSTRAINT IF EXISTS "book_title_key";
+ALTER TABLE "book" DROP CONSTRAINT IF EXISTS "book_pages_check";
+ALTER TABLE "book" ADD COLUMN "isbn" TEXT NOT NULL;
+ALTER TABLE "book" DROP COLUMN IF EXISTS "note";
+ALTER TABLE "book" DROP CONSTRAINT IF EXISTS "book_summary_key";
+ALTER TABLE "book" ADD CONSTRAINT "book_code_key" UNIQUE ("code");
+ALTER TABLE "book" ALTER COLUMN "pages" TYPE INTEGER USING "pages"::INTEGER;
+ALTER TABLE "book" ALTER COLUMN "title" DROP NOT NULL;
+ALTER TABLE "book" ALTER COLUMN "title" DROP DEFAULT;
+ALTER TABLE "book" ADD CONSTRAINT book_isbn_key UNIQUE (isbn);
+ALTER TABLE "book" ADD CONSTRAINT book_pages_check CHECK (pages > 0);
+
+
+
+
+
+COMMIT TRANSACTION;`
+  );
+});
+
+test("the down of an altered table restores it exactly", async () => {
+  const db = new PGlite();
+  const getSchema = async () => {
+    const { rows: columns } = await db.query(`
+      SELECT column_name, data_type, is_nullable, column_default
+      FROM information_schema.columns
+      WHERE table_name = 'book'
+      ORDER BY column_name;
+    `);
+    const { rows: constraints } = await db.query(`
+      SELECT conname, pg_get_constraintdef(oid) AS definition
+      FROM pg_constraint
+      WHERE conrelid = 'book'::regclass
+      ORDER BY conname;
+    `);
+    return { columns, constraints };
+  };
+
+  try {
+    await db.exec(generateSqlFileContent(previousConfig).up);
+    const previousSchema = await getSchema();
+
+    const { up, down } = generateSqlFileContent(config, { previousConfig });
+    await db.exec(up);
+    assert.notDeepEqual(await getSchema(), previousSchema);
+    await db.exec(down);
+
+    assert.deepEqual(await getSchema(), previousSchema);
+  } finally {
+    await db.close();
+  }
+});
+
+test("unnamed table constraints cannot be diffed", () => {
+  assert.throws(
+    () =>
+      generateSqlFileContent(
+        {
+          tables: [{ ...config.tables[0], constraints: ["CHECK (pages > 1)"] }],
+        },
+        { previousConfig }
+      ),
+    /Cannot diff unnamed constraint "CHECK \(pages > 1\)" on table "book"/
+  );
+});
@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+  sqlMigration,
+  writeFiles,
+} from "./helpers.js";
+
+const SETTINGS_QUERY = `CREATE TABLE settings AS
+SELECT
+  current_setting('lock_timeout') AS lock_timeout,
+  current_setting('statement_timeout') AS statement_timeout;
+`;
+
+describe("migration directives", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir();
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  async function getSettings() {
+    const { rows } = await db.query(`
+      SELECT
+        current_setting('lock_timeout') AS lock_timeout,
+        current_setting('statement_timeout') AS statement_timeout;
+    `);
+    return rows[0];
+  }
+
+  async function getAppliedVersions() {
+    const { rows } = await db.query(
+      "SELECT version FROM sqlmirror_migration ORDER BY version;"
+    );
+    return rows.map((row) => row.version);
+  }
+
+  test("a migration runs in a transaction with its bookkeeping row", async () => {
+    await writeFiles(
+      migrationsDirPath,
+      sqlMigration(
+        "1.0.0",
+        "broken",
+        "CREATE TABLE kept (id INT);\nSELECT 1 / 0;\n"
+      )
+    );
+
+    await assert.rejects(migrator.up(), /division by zero/);
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+    assert.deepEqual(await getAppliedVersions(), []);
+  });
+
+  // VACUUM cannot run inside a transaction block
+  test("transaction=false runs statements outside a transaction", async () => {
+    await writeFiles(
+      migrationsDirPath,
+      sqlMigration(
+        "1.0.0",
+        "vacuum",
+        `-- sql-mirror: transaction=false
+CREATE TABLE item (id INT);
+VACUUM item;
+`
+      )
+    );
+
+    await migrator.up();
+    assert.deepEqual(await getTableNames(db), ["item", "sqlmirror_migration"]);
+    assert.deepEqual(await getAppliedVersions(), ["1.0.0"]);
+  });
+
+  test("a failing non-transactional migration keeps the statements before it", async () => {
+    await writeFiles(
+      migrationsDirPath,
+      sqlMigration(
+        "1.0.0",
+        "broken",
+        `-- sql-mirror: transaction=false
+CREATE TABLE kept (id INT);
+SELECT 1 / 0;
+`
+      )
+    );
+
+    await assert.rejects(
+      migrator.up(),
+      /Non-transactional migration 1\.0\.0U__broken\.sql failed on statement 2 of 2, statement 1 stays applied and the migration is not recorded: division by zero/
+    );
+    assert.deepEqual(await getTableNames(db), ["kept", "sqlmirror_migration"]);
+    assert.deepEqual(await getAppliedVersions(), []);
+  });
+
+  test("timeouts apply to the migration only", async () => {
+    await writeFiles(
+      migrationsDirPath,
+      sqlMigration(
+        "1.0.0",
+        "settings",
+        `-- sql-mirror: lock_timeout=5s statement_timeout=10min
+${SETTINGS_QUERY}`
+      )
+    );
+    const defaultSettings = await getSettings();
+
+    await migrator.up();
+
+    const { rows } = await db.query("SELECT * FROM settings;");
+    assert.deepEqual(rows, [
+      { lock_timeout: "5s", statement_timeout: "10min" },
+    ]);
+    assert.deepEqual(await getSettings(), defaultSettings);
+  });
+
+  test("timeouts apply to non-transactional migrations until they end", async () => {
+    await writeFiles(
+      migrationsDirPath,
+      sqlMigration(
+        "1.0.0",
+        "settings",
+        `-- sql-mirror: transaction=false lock_timeout=5s statement_timeout=10min
+${SETTINGS_QUERY}`
+      )
+    );
+    const defaultSettings = await getSettings();
+
+    await migrator.up();
+
+    const { rows } = await db.query("SELECT * FROM settings;");
+    assert.deepEqual(rows, [
+      { lock_timeout: "5s", statement_timeout: "10min" },
+    ]);
+    assert.deepEqual(await getSettings(), defaultSettings);
+  });
+});
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import SQLMirrorMigrator from "../lib/SQLMirrorMigrator.js";
+import { createPgliteDriver } from "../lib/drivers/index.js";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+} from "./helpers.js";
+
+const MIGRATION_FILES = {
+  ...configMigration(
+    "1.0.0",
+    "author",
+    `{
+      extensions: [sql.extension.uuid],
+      tables: [{ name: "author", columns: ["name TEXT NOT NULL"] }],
+    }`
+  ),
+  ...configMigration(
+    "2.0.0",
+    "book",
+    `{ tables: [{ name: "book", columns: ["title TEXT NOT NULL"] }] }`
+  ),
+};
+
+describe("dry runs", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+  let dryRunMigrator;
+  let queries;
+  let transactions;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir(MIGRATION_FILES);
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+    await migrator.build();
+
+    // Records what the dry runs send to the database
+    queries = [];
+    transactions = 0;
+    const pgliteDriver = createPgliteDriver(db);
+    dryRunMigrator = new SQLMirrorMigrator(null, migrationsDirPath, {
+      driver: {
+        ...pgliteDriver,
+        query: (text, values) => {
+          queries.push(text);
+          return pgliteDriver.query(text, values);
+        },
+        transaction: (fn) => {
+          transactions++;
+          return pgliteDriver.transaction(fn);
+        },
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  async function readMigrationsDir() {
+    const files = {};
+    for (const filename of await fs.readdir(migrationsDirPath)) {
+      files[filename] = await fs.readFile(
+        path.join(migrationsDirPath, filename),
+        "utf8"
+      );
+    }
+    return files;
+  }
+
+  function assertReadOnly() {
+    assert.equal(transactions, 0);
+    assert.deepEqual(
+      queries.filter((text) =>
+        /^\s*(BEGIN|START|CREATE|ALTER|DROP|INSERT|DELETE|UPDATE)\b/i.test(text)
+      ),
+      []
+    );
+  }
+
+  test("plan and up with dryRun return the SQL of pending migrations", async () => {
+    const files = await readMigrationsDir();
+    const expectedPlan = ["1.0.0U__author.sql", "2.0.0U__book.sql"].map(
+      (filename) => ({ filename, sql: files[filename] })
+    );
+
+    assert.deepEqual(await dryRunMigrator.plan(), expectedPlan);
+    assert.deepEqual(await dryRunMigrator.up({ dryRun: true }), expectedPlan);
+
+    assertReadOnly();
+    assert.deepEqual(await getTableNames(db), []);
+    assert.deepEqual(await readMigrationsDir(), files);
+  });
+
+  test("down with dryRun returns the SQL reverting applied migrations", async () => {
+    await migrator.up();
+    const files = await readMigrationsDir();
+
+    assert.deepEqual(await dryRunMigrator.down({ dryRun: true }), [
+      { filename: "2.0.0D__book.sql", sql: files["2.0.0D__book.sql"] },
+    ]);
+    assert.deepEqual(
+      (await dryRunMigrator.down({ all: true, dryRun: true })).map(
+        ({ filename }) => filename
+      ),
+      ["2.0.0D__book.sql", "1.0.0D__author.sql"]
+    );
+
+    assertReadOnly();
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "book",
+      "sqlmirror_migration",
+    ]);
+    assert.deepEqual(await readMigrationsDir(), files);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  removeMigrationsDir,
+  writeFiles,
+} from "./helpers.js";
+
+let migrationsDirPath;
+let db;
+let migrator;
+
+beforeEach(async () => {
+  migrationsDirPath = await createMigrationsDir(
+    configMigration(
+      "1.0.0",
+      "mood",
+      `{
+        extensions: [sql.extension.uuid],
+        tables: [
+          {
+            name: "person",
+            types: [sql.enum("mood", ["happy"])],
+            columns: [sql.column.enum("mood", "mood")],
+          },
+        ],
+      }`
+    )
+  );
+  ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+});
+
+afterEach(async () => {
+  await db.close();
+  await removeMigrationsDir(migrationsDirPath);
+});
+
+test("a migration uses the enum values it adds", async () => {
+  await writeFiles(
+    migrationsDirPath,
+    configMigration(
+      "2.0.0",
+      "sad",
+      `{
+        tables: [
+          {
+            name: "person",
+            types: [sql.enum("mood", ["happy", "sad"])],
+            columns: [
+              sql.column.enum("mood", "mood"),
+              sql.column.enum("previous_mood", "mood", { defaultValue: "sad" }),
+            ],
+          },
+        ],
+      }`
+    )
+  );
+  await migrator.build();
+  await migrator.up();
+
+  const { rows } = await db.query(
+    "SELECT enum_range(NULL::mood)::text[] AS moods;"
+  );
+  assert.deepEqual(rows[0].moods, ["happy", "sad"]);
+
+  await migrator.down();
+  const { rows: revertedRows } = await db.query(
+    "SELECT enum_range(NULL::mood)::text[] AS moods;"
+  );
+  assert.deepEqual(revertedRows[0].moods, ["happy"]);
+});
+
+test("a migration failing after its added values runs again", async () => {
+  await migrator.build();
+  await migrator.up();
+  await db.query("INSERT INTO person (mood) VALUES ('happy');");
+  await writeFiles(
+    migrationsDirPath,
+    configMigration(
+      "2.0.0",
+      "joyful",
+      `{
+        tables: [
+          {
+            name: "person",
+            types: [
+              sql.enum("mood", ["joyful", "sad"], {
+                renamedValues: { happy: "joyful" },
+              }),
+            ],
+            columns: [sql.column.enum("mood", "mood"), "note TEXT NOT NULL"],
+          },
+        ],
+      }`
+    )
+  );
+  await migrator.build();
+
+  // The column cannot be added to the existing row
+  await assert.rejects(migrator.up(), /note/);
+  const { rows } = await db.query(
+    "SELECT enum_range(NULL::mood)::text[] AS moods;"
+  );
+  assert.deepEqual(rows[0].moods, ["happy", "sad"]);
+
+  await db.query("DELETE FROM person;");
+  await migrator.up();
+  const { rows: migratedRows } = await db.query(
+    "SELECT enum_range(NULL::mood)::text[] AS moods;"
+  );
+  assert.deepEqual(migratedRows[0].moods, ["joyful", "sad"]);
+});
@@ -0,0 +1,78 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { PGlite } from "@electric-sql/pglite";
+import { uuid_ossp } from "@electric-sql/pglite/contrib/uuid_ossp";
+import { moddatetime } from "@electric-sql/pglite/contrib/moddatetime";
+import SQLMirrorMigrator from "../lib/SQLMirrorMigrator.js";
+import { createPgliteDriver } from "../lib/drivers/index.js";
+
+export const INDEX_URL = new URL("../index.js", import.meta.url).href;
+
+// A migrations directory in a temporary directory, with files given as
+// { filename: content }
+export async function createMigrationsDir(files = {}) {
+  const dirPath = await fs.mkdtemp(path.join(os.tmpdir(), "sql-mirror-"));
+  const migrationsDirPath = path.join(dirPath, "migrations");
+  await fs.mkdir(migrationsDirPath);
+  await writeFiles(migrationsDirPath, files);
+
+  return migrationsDirPath;
+}
+
+export async function writeFiles(dirPath, files) {
+  for (const [filename, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dirPath, filename), content);
+  }
+}
+
+export async function removeMigrationsDir(migrationsDirPath) {
+  await fs.rm(path.dirname(migrationsDirPath), { recursive: true });
+}
+
+// The files of a migration as create writes them, with a config module
+// returning the config expression configSource, in which sql is in scope
+export function configMigration(version, migrationName, configSource) {
+  return {
+    [`${version}U__${migrationName}.sql`]: "-- up file",
+    [`${version}D__${migrationName}.sql`]: "-- down file",
+    [`${version}__${migrationName}.js`]: `import { sql } from "${INDEX_URL}";
+
+export default function sqlMirrorConfig() {
+  return ${configSource};
+}
+`,
+  };
+}
+
+// The files of a migration without config, run as written
+export function sqlMigration(version, migrationName, up, down = "") {
+  return {
+    [`${version}U__${migrationName}.sql`]: up,
+    [`${version}D__${migrationName}.sql`]: down,
+  };
+}
+
+// A migrator on an in-memory PGlite database kept across its calls
+export async function createTestMigrator(migrationsDirPath, options = {}) {
+  const db = new PGlite({ extensions: { uuid_ossp, moddatetime } });
+  const migrator = new SQLMirrorMigrator(null, migrationsDirPath, {
+    driver: createPgliteDriver(db),
+    ...options,
+  });
+
+  return { db, migrator };
+}
+
+export async function getTableNames(db, schema = "public") {
+  const { rows } = await db.query(
+    `
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = $1
+      ORDER BY table_name;
+    `,
+    [schema]
+  );
+  return rows.map((row) => row.table_name);
+}
@@ -0,0 +1,266 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import generateSqlFileContent from "../lib/generateSqlFileContent.js";
+import lintMigrations from "../lib/lintMigrations.js";
+import SQLMirrorMigrator from "../lib/SQLMirrorMigrator.js";
+import sql from "../lib/sql.js";
+import {
+  configMigration,
+  createMigrationsDir,
+  removeMigrationsDir,
+} from "./helpers.js";
+
+const tables = [
+  {
+    file: "1.0.0__init.js",
+    table: {
+      name: "user",
+      columns: [
+        "order INTEGER NOT NULL",
+        "nickname VARCHAR NOT NULL",
+        "seen_at TIMESTAMP NOT NULL",
+        "bio TEXT",
+      ],
+      references: [{ columnName: "team_id", tableNameRef: "team" }],
+    },
+  },
+];
+
+// Problems as [rule, severity, location, message]
+function summarize(problems) {
+  return problems.map(
+    ({ rule, severity, file, line, table, column, message }) => [
+      rule,
+      severity,
+      [file, line, table, column].filter(Boolean).join(" "),
+      message,
+    ]
+  );
+}
+
+describe("lintMigrations", () => {
+  test("the built-in rules report tables", () => {
+    assert.deepEqual(summarize(lintMigrations({ tables })), [
+      [
+        "reference-index",
+        "warn",
+        "1.0.0__init.js user team_id",
+        'Foreign key to "team" has no index, set index: true on the reference',
+      ],
+      [
+        "reserved-word",
+        "warn",
+        "1.0.0__init.js user",
+        'Table name "user" is a reserved word and must be quoted in SQL',
+      ],
+      [
+        "reserved-word",
+        "warn",
+        "1.0.0__init.js user order",
+        'Column name "order" is a reserved word and must be quoted in SQL',
+      ],
+      [
+        "varchar-length",
+        "warn",
+        "1.0.0__init.js user nickname",
+        "VARCHAR without length, use VARCHAR(n) or TEXT",
+      ],
+      [
+        "timestamp-time-zone",
+        "warn",
+        "1.0.0__init.js user seen_at",
+        "TIMESTAMP without time zone, use TIMESTAMP WITH TIME ZONE",
+      ],
+    ]);
+  });
+
+  test("rules take the severity they are set to", () => {
+    const problems = lintMigrations(
+      { tables },
+      {
+        rules: {
+          "reference-index": "off",
+          "reserved-word": "off",
+          "varchar-length": "error",
+          "not-null": "warn",
+        },
+      }
+    );
+
+    assert.deepEqual(
+      problems.map(({ rule, severity, column }) => [rule, severity, column]),
+      [
+        ["varchar-length", "error", "nickname"],
+        ["timestamp-time-zone", "warn", "seen_at"],
+        ["not-null", "warn", "bio"],
+      ]
+    );
+    assert.throws(
+      () => lintMigrations({ tables }, { rules: { "no-such-rule": "warn" } }),
+      /Unknown lint rule "no-such-rule"/
+    );
+    assert.throws(
+      () => lintMigrations({ tables }, { rules: { "not-null": "fatal" } }),
+      /Invalid severity "fatal" for lint rule "not-null", expected one of: error, warn, off/
+    );
+  });
+
+  test("up-drop reports drops of hand-written up migrations", () => {
+    const problems = lintMigrations({
+      sqlFiles: [
+        {
+          filename: "2.0.0U__cleanup.sql",
+          sql: `-- cleanup
+DROP TABLE legacy;
+ALTER TABLE "user" DROP COLUMN bio;
+ALTER TABLE "user" ADD COLUMN about TEXT;
+`,
+        },
+      ],
+    });
+
+    assert.deepEqual(summarize(problems), [
+      [
+        "up-drop",
+        "warn",
+        "2.0.0U__cleanup.sql 2",
+        "Up migration drops: DROP TABLE legacy;",
+      ],
+      [
+        "up-drop",
+        "warn",
+        "2.0.0U__cleanup.sql 3",
+        'Up migration drops: ALTER TABLE "user" DROP COLUMN bio;',
+      ],
+    ]);
+  });
+
+  test("up-drop leaves out objects generated migrations create again", () => {
+    const previousConfig = {
+      tables: [
+        {
+          name: "person",
+          types: [sql.enum("mood", ["happy", "sad"])],
+          columns: [sql.column.enum("mood", "mood")],
+          constraints: ["CONSTRAINT person_mood_check CHECK (mood <> 'sad')"],
+        },
+      ],
+      views: [{ name: "happy_person", query: "SELECT * FROM person" }],
+    };
+    const config = {
+      tables: [
+        {
+          name: "person",
+          types: [sql.enum("mood", ["sad", "happy"])],
+          columns: [sql.column.enum("mood", "mood")],
+          constraints: ["CONSTRAINT person_mood_check CHECK (mood = 'happy')"],
+        },
+      ],
+      views: [{ name: "happy_person", query: "SELECT person_id FROM person" }],
+    };
+    const { up } = generateSqlFileContent(config, { previousConfig });
+
+    assert.match(up, /DROP TYPE "mood__old";/);
+    assert.deepEqual(
+      lintMigrations({ sqlFiles: [{ filename: "2.0.0U__mood.sql", sql: up }] }),
+      []
+    );
+  });
+
+  test("plugins add rules checking tables and SQL", () => {
+    const plugin = {
+      name: "team",
+      rules: {
+        "singular-table": {
+          severity: "error",
+          checkTable(table, { report }) {
+            if (table.name.endsWith("s")) {
+              report({ message: "Table names are singular" });
+            }
+          },
+        },
+        "no-truncate": {
+          checkSql(sqlFile, { statements, report }) {
+            for (const statement of statements) {
+              if (/^TRUNCATE\s/i.test(statement.text)) {
+                report({ line: statement.line, message: "No TRUNCATE" });
+              }
+            }
+          },
+        },
+      },
+    };
+
+    const problems = lintMigrations(
+      {
+        tables: [{ file: "1.0.0__init.js", table: { name: "posts" } }],
+        sqlFiles: [{ filename: "1.0.0U__init.sql", sql: "\nTRUNCATE post;" }],
+      },
+      { plugins: [plugin], rules: { "no-truncate": "error" } }
+    );
+
+    assert.deepEqual(summarize(problems), [
+      [
+        "singular-table",
+        "error",
+        "1.0.0__init.js posts",
+        "Table names are singular",
+      ],
+      ["no-truncate", "error", "1.0.0U__init.sql 2", "No TRUNCATE"],
+    ]);
+    assert.throws(
+      () =>
+        lintMigrations(
+          { tables },
+          { plugins: [{ name: "team", rules: { empty: {} } }] }
+        ),
+      /Lint rule "empty" of plugin team has neither checkTable nor checkSql/
+    );
+  });
+});
+
+describe("SQLMirrorMigrator lint", () => {
+  let migrationsDirPath;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir({
+      ...configMigration(
+        "1.0.0",
+        "author",
+        `{ tables: [{ name: "author", columns: ["name VARCHAR NOT NULL"] }] }`
+      ),
+      ...configMigration(
+        "2.0.0",
+        "book",
+        `{ tables: [{ name: "book", columns: ["published_at TIMESTAMP NOT NULL"] }] }`
+      ),
+    });
+  });
+
+  afterEach(async () => {
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  test("since only lints the migrations after a version", async () => {
+    const migrator = new SQLMirrorMigrator(null, migrationsDirPath);
+
+    assert.deepEqual(
+      (await migrator.lint()).map(({ rule, file }) => [rule, file]),
+      [
+        ["varchar-length", "1.0.0__author.js"],
+        ["timestamp-time-zone", "2.0.0__book.js"],
+      ]
+    );
+    assert.deepEqual(
+      (await migrator.lint({ since: "1.0.0" })).map(({ rule, file }) => [
+        rule,
+        file,
+      ]),
+      [["timestamp-time-zone", "2.0.0__book.js"]]
+    );
+    await assert.rejects(
+      migrator.lint({ since: "next" }),
+      /Invalid version: next/
+    );
+  });
+});
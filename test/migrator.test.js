@@ -0,0 +1,262 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import SQLMirrorMigrator from "../lib/SQLMirrorMigrator.js";
+import { createPgliteDriver } from "../lib/drivers/index.js";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+} from "./helpers.js";
+
+const MIGRATION_FILES = {
+  ...configMigration(
+    "1.0.0",
+    "author",
+    `{
+      extensions: [sql.extension.uuid],
+      tables: [{ name: "author", columns: ["name TEXT NOT NULL"] }],
+    }`
+  ),
+  ...configMigration(
+    "2.0.0",
+    "book",
+    `{
+      tables: [
+        {
+          name: "book",
+          columns: ["title TEXT NOT NULL"],
+          references: [{ columnName: "author_id", tableNameRef: "author" }],
+        },
+      ],
+    }`
+  ),
+};
+
+describe("SQLMirrorMigrator", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir(MIGRATION_FILES);
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+    await migrator.build();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  test("up applies pending migrations in version order", async () => {
+    await migrator.up();
+
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "book",
+      "sqlmirror_migration",
+    ]);
+    const { rows } = await db.query(
+      "SELECT version, filename FROM sqlmirror_migration ORDER BY version;"
+    );
+    assert.deepEqual(rows, [
+      { version: "1.0.0", filename: "1.0.0U__author.sql" },
+      { version: "2.0.0", filename: "2.0.0U__book.sql" },
+    ]);
+  });
+
+  test("up stops after the version given with to", async () => {
+    await migrator.up({ to: "1.0.0" });
+
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "sqlmirror_migration",
+    ]);
+  });
+
+  test("down reverts the last applied migration", async () => {
+    await migrator.up();
+    await migrator.down();
+
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "sqlmirror_migration",
+    ]);
+    assert.deepEqual(
+      (await migrator.status()).map(({ version, state }) => [version, state]),
+      [
+        ["1.0.0", "applied"],
+        ["2.0.0", "pending"],
+      ]
+    );
+  });
+
+  test("down with all reverts every applied migration", async () => {
+    await migrator.up();
+    await migrator.down({ all: true });
+
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+  });
+
+  test("status lists applied, pending and missing migrations", async () => {
+    assert.deepEqual(
+      (await migrator.status()).map(({ version, state }) => [version, state]),
+      [
+        ["1.0.0", "pending"],
+        ["2.0.0", "pending"],
+      ]
+    );
+
+    await migrator.up();
+    await fs.rm(path.join(migrationsDirPath, "2.0.0U__book.sql"));
+
+    assert.deepEqual(
+      (await migrator.status()).map(({ version, state }) => [version, state]),
+      [
+        ["1.0.0", "applied"],
+        ["2.0.0", "missing"],
+      ]
+    );
+  });
+
+  test("an edited applied migration is reported and blocks up", async () => {
+    await migrator.up({ to: "1.0.0" });
+    await fs.appendFile(
+      path.join(migrationsDirPath, "1.0.0U__author.sql"),
+      "\n-- edited\n"
+    );
+
+    const [authorStatus] = await migrator.status();
+    assert.equal(authorStatus.checksumMismatch, true);
+    await assert.rejects(migrator.up(), /1\.0\.0U__author\.sql/);
+
+    await migrator.up({ ignoreChecksum: true });
+    assert.ok((await getTableNames(db)).includes("book"));
+  });
+
+  test("up records the md5 checksum of the applied SQL", async () => {
+    await migrator.up({ to: "1.0.0" });
+    const upSql = await fs.readFile(
+      path.join(migrationsDirPath, "1.0.0U__author.sql"),
+      "utf8"
+    );
+
+    const { rows } = await db.query(
+      "SELECT checksum FROM sqlmirror_migration WHERE version = '1.0.0';"
+    );
+    assert.deepEqual(rows, [
+      { checksum: crypto.createHash("md5").update(upSql).digest("hex") },
+    ]);
+    assert.equal((await migrator.status())[0].checksumMismatch, false);
+  });
+
+  test("up refuses pending migrations whose SQL was not built", async () => {
+    await migrator.up({ to: "1.0.0" });
+    await fs.writeFile(
+      path.join(migrationsDirPath, "2.0.0U__book.sql"),
+      "-- up file"
+    );
+
+    await assert.rejects(
+      migrator.up(),
+      /Pending migrations differ from what their configs generate: 2\.0\.0U__book\.sql, run build first/
+    );
+    await assert.rejects(migrator.plan(), /run build first/);
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "sqlmirror_migration",
+    ]);
+  });
+
+  test("up releases the migration lock", async () => {
+    await migrator.up();
+
+    const { rows } = await db.query(
+      "SELECT count(*)::int AS count FROM pg_locks WHERE locktype = 'advisory';"
+    );
+    assert.equal(rows[0].count, 0);
+  });
+
+  test("a failed up releases the lock and keeps its error", async () => {
+    await migrator.up({ to: "1.0.0" });
+    await fs.appendFile(
+      path.join(migrationsDirPath, "1.0.0U__author.sql"),
+      "\n-- edited\n"
+    );
+    await assert.rejects(migrator.up(), /were edited since they were applied/);
+    const { rows } = await db.query(
+      "SELECT count(*)::int AS count FROM pg_locks WHERE locktype = 'advisory';"
+    );
+    assert.equal(rows[0].count, 0);
+
+    const pgliteDriver = createPgliteDriver(db);
+    const unlockFailingMigrator = new SQLMirrorMigrator(
+      null,
+      migrationsDirPath,
+      {
+        driver: {
+          ...pgliteDriver,
+          query: (text, values) =>
+            text.includes("pg_advisory_unlock")
+              ? Promise.reject(new Error("Connection terminated"))
+              : pgliteDriver.query(text, values),
+        },
+      }
+    );
+    await assert.rejects(
+      unlockFailingMigrator.up(),
+      /were edited since they were applied/
+    );
+  });
+
+  test("up waits for the lock with the configured key", async () => {
+    const pgliteDriver = createPgliteDriver(db);
+    const lockKeys = [];
+    const waitingMigrator = new SQLMirrorMigrator(null, migrationsDirPath, {
+      lockKey: 42,
+      lockTimeout: 10000,
+      driver: {
+        ...pgliteDriver,
+        query: (text, values) => {
+          if (text.includes("pg_try_advisory_lock")) {
+            lockKeys.push(values[0]);
+            if (lockKeys.length < 3) {
+              return { rows: [{ locked: false }], rowCount: 1 };
+            }
+          }
+          return pgliteDriver.query(text, values);
+        },
+      },
+    });
+
+    await waitingMigrator.up();
+    assert.deepEqual(lockKeys, [42, 42, 42]);
+    assert.ok((await getTableNames(db)).includes("book"));
+  });
+
+  test("up gives up when another process holds the lock", async () => {
+    // PGlite has a single session, in which advisory locks are reentrant
+    const pgliteDriver = createPgliteDriver(db);
+    const lockedMigrator = new SQLMirrorMigrator(null, migrationsDirPath, {
+      lockTimeout: 0,
+      driver: {
+        ...pgliteDriver,
+        query: (text, values) =>
+          text.includes("pg_try_advisory_lock")
+            ? { rows: [{ locked: false }], rowCount: 1 }
+            : pgliteDriver.query(text, values),
+      },
+    });
+
+    await assert.rejects(
+      lockedMigrator.up(),
+      /Migration lock \d+ is held by another process/
+    );
+    assert.deepEqual(await getTableNames(db), []);
+  });
+});
@@ -0,0 +1,182 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import generateSqlFileContent from "../lib/generateSqlFileContent.js";
+import sql from "../lib/sql.js";
+import {
+  INDEX_URL,
+  createMigrationsDir,
+  createTestMigrator,
+  removeMigrationsDir,
+  writeFiles,
+} from "./helpers.js";
+
+let migrationsDirPath;
+let source;
+let target;
+
+beforeEach(async () => {
+  migrationsDirPath = await createMigrationsDir();
+  source = await createTestMigrator(migrationsDirPath);
+  target = await createTestMigrator(migrationsDirPath);
+});
+
+afterEach(async () => {
+  await source.db.close();
+  await target.db.close();
+  await removeMigrationsDir(migrationsDirPath);
+});
+
+// Pull the source database into the 1.0.0 migration, build it and apply it
+// to the empty target database
+async function pullAndApply() {
+  const config = await source.migrator.pull();
+  await writeFiles(migrationsDirPath, {
+    "1.0.0U__init.sql": "-- up file",
+    "1.0.0D__init.sql": "-- down file",
+    "1.0.0__init.js": config.replace('"sql-mirror"', `"${INDEX_URL}"`),
+  });
+  await target.migrator.build();
+  await target.migrator.up();
+
+  return config;
+}
+
+test("pull keeps the options of foreign keys as references", async () => {
+  await source.db.exec(`
+    CREATE EXTENSION "uuid-ossp";
+    CREATE TABLE alpha (
+      alpha_id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+      code TEXT NOT NULL UNIQUE
+    );
+    CREATE TABLE zeta (
+      zeta_id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+      alpha_id uuid NOT NULL REFERENCES alpha ON DELETE CASCADE,
+      alpha_code TEXT REFERENCES alpha (code) ON UPDATE CASCADE
+        DEFERRABLE INITIALLY DEFERRED
+    );
+  `);
+
+  const config = await pullAndApply();
+
+  assert.match(
+    config,
+    /columnName: "alpha_id",\n\s+tableNameRef: "alpha",\n\s+onDelete: "CASCADE",/
+  );
+  assert.match(config, /columnNameRef: "code",\n\s+type: "TEXT",/);
+  assert.doesNotMatch(config, /constraints/);
+  assert.equal(await target.migrator.pull(), config);
+});
+
+test("pull keeps the declaration of columns with a key or a default", async () => {
+  await source.db.exec(`
+    CREATE TABLE alpha (code TEXT PRIMARY KEY);
+    CREATE TABLE zeta (
+      code TEXT PRIMARY KEY REFERENCES alpha ON DELETE SET NULL,
+      fallback TEXT DEFAULT 'none' REFERENCES alpha ON DELETE SET DEFAULT
+    );
+  `);
+
+  const config = await pullAndApply();
+
+  assert.match(config, /columnNames: \[\n\s+"code",\n\s+\],/);
+  assert.match(config, /"fallback TEXT DEFAULT 'none'::text"/);
+  assert.equal(await target.migrator.pull(), config);
+
+  const sqlUp = await fs.readFile(
+    path.join(migrationsDirPath, "1.0.0U__init.sql"),
+    "utf8"
+  );
+  assert.ok(sqlUp.indexOf('"alpha" (') < sqlUp.indexOf('"zeta" ('));
+});
+
+test("pull maps ids, timestamps, enums and extensions back to the conventions", async () => {
+  const { up } = generateSqlFileContent({
+    extensions: [sql.extension.uuid],
+    tables: [
+      {
+        name: "author",
+        types: [sql.enum("mood", ["happy", "sad"])],
+        columns: [sql.column.enum("mood", "mood")],
+        plugins: [sql.tablePlugin.created_at, sql.tablePlugin.updated_at],
+      },
+      {
+        name: "book",
+        columns: ["title TEXT NOT NULL"],
+        references: [{ columnName: "author_id", tableNameRef: "author" }],
+      },
+    ],
+  });
+  await source.db.exec(up);
+
+  const config = await pullAndApply();
+
+  assert.equal(
+    config,
+    `// config file pulled from the database by sql-mirror
+import { sql } from "sql-mirror";
+
+export default function sqlMirrorConfig() {
+  return {
+    extensions: [
+      sql.extension.moddatetime,
+      sql.extension.uuid,
+    ],
+    tables: [
+      {
+        name: "author",
+        types: [
+          sql.enum("mood", [
+            "happy",
+            "sad",
+          ]),
+        ],
+        columns: [
+          "mood \\"mood\\" NOT NULL",
+        ],
+        plugins: [
+          sql.tablePlugin.created_at,
+          sql.tablePlugin.updated_at,
+        ],
+      },
+      {
+        name: "book",
+        columns: [
+          "title TEXT NOT NULL",
+        ],
+        references: [
+          {
+            columnName: "author_id",
+            tableNameRef: "author",
+          },
+        ],
+      },
+    ],
+  };
+}
+`
+  );
+  assert.equal(await target.migrator.pull(), config);
+});
+
+test("pull keeps columns off the conventions and reads the schema given", async () => {
+  await source.db.exec(`
+    CREATE SCHEMA archive;
+    CREATE TABLE archive.note (
+      id SERIAL PRIMARY KEY,
+      created_at TIMESTAMP NOT NULL DEFAULT now(),
+      updated_at TIMESTAMP WITH TIME ZONE
+    );
+    CREATE TABLE draft (body TEXT);
+  `);
+
+  const config = await source.migrator.pull({ schema: "archive" });
+
+  assert.match(config, /name: "note",\n\s+schema: "archive",/);
+  assert.match(
+    config,
+    /columns: \[\n\s+"id INTEGER DEFAULT nextval\('archive\.note_id_seq'::regclass\) PRIMARY KEY",\n\s+"created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT now\(\) NOT NULL",\n\s+"updated_at TIMESTAMP WITH TIME ZONE",\n\s+\],\n\s+options: \{\n\s+disableId: true,/
+  );
+  assert.doesNotMatch(config, /plugins|draft/);
+});
@@ -0,0 +1,208 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+  writeFiles,
+} from "./helpers.js";
+
+describe("references", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir();
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  async function getForeignKeys() {
+    const { rows } = await db.query(`
+      SELECT conname AS name, pg_get_constraintdef(oid) AS definition
+      FROM pg_constraint
+      WHERE contype = 'f'
+      ORDER BY conname;
+    `);
+    return rows.map(({ name, definition }) => `${name}: ${definition}`);
+  }
+
+  async function readMigrationFile(filename) {
+    return fs.readFile(path.join(migrationsDirPath, filename), "utf8");
+  }
+
+  test("references point at other columns, several columns or their own table", async () => {
+    await writeFiles(
+      migrationsDirPath,
+      configMigration(
+        "1.0.0",
+        "catalog",
+        `{
+          extensions: [sql.extension.uuid],
+          tables: [
+            { name: "category", columns: ["code TEXT NOT NULL UNIQUE"] },
+            {
+              name: "product",
+              columns: ["sku TEXT NOT NULL", "region TEXT NOT NULL"],
+              constraints: [
+                "CONSTRAINT product_sku_region_key UNIQUE (sku, region)",
+              ],
+            },
+            {
+              name: "item",
+              columns: ["sku TEXT NOT NULL", "region TEXT NOT NULL"],
+              references: [
+                {
+                  columnName: "category_code",
+                  tableNameRef: "category",
+                  columnNameRef: "code",
+                  type: "TEXT",
+                  onUpdate: "CASCADE",
+                },
+                {
+                  columnNames: ["sku", "region"],
+                  tableNameRef: "product",
+                  columnNamesRef: ["sku", "region"],
+                  deferrable: true,
+                  initiallyDeferred: true,
+                },
+                { columnName: "parent_id", tableNameRef: "item", nullable: true },
+              ],
+            },
+          ],
+        }`
+      )
+    );
+    await migrator.build();
+    await migrator.up();
+
+    assert.deepEqual(await getForeignKeys(), [
+      "item_category_code_fkey: FOREIGN KEY (category_code) REFERENCES category(code) ON UPDATE CASCADE",
+      "item_parent_id_fkey: FOREIGN KEY (parent_id) REFERENCES item(item_id)",
+      "item_sku_region_fkey: FOREIGN KEY (sku, region) REFERENCES product(sku, region) DEFERRABLE INITIALLY DEFERRED",
+    ]);
+
+    await migrator.down();
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+  });
+
+  test("a cycle of new tables is closed once they exist", async () => {
+    await writeFiles(
+      migrationsDirPath,
+      configMigration(
+        "1.0.0",
+        "library",
+        `{
+          extensions: [sql.extension.uuid],
+          tables: [
+            {
+              name: "author",
+              columns: ["name TEXT NOT NULL"],
+              references: [
+                {
+                  columnName: "best_book_id",
+                  tableNameRef: "book",
+                  nullable: true,
+                },
+              ],
+            },
+            {
+              name: "book",
+              columns: ["title TEXT NOT NULL"],
+              references: [{ columnName: "author_id", tableNameRef: "author" }],
+            },
+          ],
+        }`
+      )
+    );
+    await migrator.build();
+
+    const up = await readMigrationFile("1.0.0U__library.sql");
+    const addConstraint = `ALTER TABLE "book" ADD CONSTRAINT "book_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "author"("author_id");`;
+    assert.ok(up.indexOf(addConstraint) > up.lastIndexOf("CREATE TABLE"));
+    const down = await readMigrationFile("1.0.0D__library.sql");
+    assert.ok(
+      down.indexOf(
+        `ALTER TABLE "book" DROP CONSTRAINT IF EXISTS "book_author_id_fkey";`
+      ) < down.indexOf("DROP TABLE")
+    );
+
+    await migrator.up();
+    assert.deepEqual(await getForeignKeys(), [
+      "author_best_book_id_fkey: FOREIGN KEY (best_book_id) REFERENCES book(book_id)",
+      "book_author_id_fkey: FOREIGN KEY (author_id) REFERENCES author(author_id)",
+    ]);
+
+    await migrator.down();
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+  });
+
+  test("an existing table referencing a new table referencing it is altered around it", async () => {
+    await writeFiles(migrationsDirPath, {
+      ...configMigration(
+        "1.0.0",
+        "author",
+        `{
+          extensions: [sql.extension.uuid],
+          tables: [{ name: "author", columns: ["name TEXT NOT NULL"] }],
+        }`
+      ),
+      ...configMigration(
+        "2.0.0",
+        "book",
+        `{
+          tables: [
+            {
+              name: "book",
+              columns: ["title TEXT NOT NULL"],
+              references: [{ columnName: "author_id", tableNameRef: "author" }],
+            },
+            {
+              name: "author",
+              columns: ["name TEXT NOT NULL"],
+              references: [
+                {
+                  columnName: "best_book_id",
+                  tableNameRef: "book",
+                  nullable: true,
+                },
+              ],
+            },
+          ],
+        }`
+      ),
+    });
+    await migrator.build();
+    await migrator.up();
+
+    assert.deepEqual(await getForeignKeys(), [
+      "author_best_book_id_fkey: FOREIGN KEY (best_book_id) REFERENCES book(book_id)",
+      "book_author_id_fkey: FOREIGN KEY (author_id) REFERENCES author(author_id)",
+    ]);
+
+    await migrator.down();
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "sqlmirror_migration",
+    ]);
+    const { rows } = await db.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'author'
+      ORDER BY column_name;
+    `);
+    assert.deepEqual(
+      rows.map((row) => row.column_name),
+      ["author_id", "name"]
+    );
+  });
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import renderSqlConfigModule from "../lib/renderSqlConfigModule.js";
+import sql from "../lib/sql.js";
+
+test("renderSqlConfigModule renders sql-mirror chunks by reference", () => {
+  const source = renderSqlConfigModule({
+    extensions: [sql.extension.uuid],
+    tables: [
+      {
+        name: "author",
+        schema: "app",
+        types: [sql.enum("mood", ["happy", "sad"], { schema: "app" })],
+        columns: ["name TEXT NOT NULL"],
+        plugins: [sql.tablePlugin.created_at],
+        options: undefined,
+      },
+    ],
+  });
+
+  assert.match(source, /^\/\/ config file generated by sql-mirror\n/);
+  assert.match(source, /extensions: \[\n\s+sql\.extension\.uuid,\n/);
+  assert.match(source, /sql\.tablePlugin\.created_at,/);
+  assert.match(
+    source,
+    /sql\.enum\("mood", \[\n\s+"happy",\n\s+"sad",\n\s+\], \{\n\s+schema: "app",\n\s+\}\),/
+  );
+  assert.doesNotMatch(source, /options/);
+});
+
+test("renderSqlConfigModule renders an edited enum by value", () => {
+  const source = renderSqlConfigModule({
+    tables: [
+      {
+        name: "author",
+        types: [{ ...sql.enum("mood", ["happy"]), up: "CREATE TYPE mood;" }],
+      },
+    ],
+  });
+
+  assert.match(source, /up: "CREATE TYPE mood;",/);
+});
+
+test("renderSqlConfigModule rejects functions it cannot reference", () => {
+  assert.throws(
+    () =>
+      renderSqlConfigModule({ tables: [{ name: "a", plugins: [() => {}] }] }),
+    /Cannot render config\.tables\[0\]\.plugins\[0\]/
+  );
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+} from "./helpers.js";
+
+const REPORT_FUNCTION = `CREATE OR REPLACE FUNCTION report_count() RETURNS bigint AS $$
+  SELECT count(*) FROM report;
+$$ LANGUAGE sql;
+`;
+
+const MIGRATION_FILES = {
+  ...configMigration(
+    "1.0.0",
+    "report",
+    `{
+      extensions: [sql.extension.uuid],
+      tables: [{ name: "report", columns: ["title TEXT NOT NULL"] }],
+    }`
+  ),
+  "R__report.sql": REPORT_FUNCTION,
+};
+
+describe("repeatable migrations", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir(MIGRATION_FILES);
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+    await migrator.build();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  async function getStates() {
+    return (await migrator.status()).map(({ filename, state }) => [
+      filename,
+      state,
+    ]);
+  }
+
+  test("up runs a repeatable migration named like a versioned one after it", async () => {
+    await migrator.up();
+
+    const { rows } = await db.query("SELECT report_count()::int AS count;");
+    assert.deepEqual(rows, [{ count: 0 }]);
+    assert.deepEqual(await getStates(), [
+      ["1.0.0U__report.sql", "applied"],
+      ["R__report.sql", "applied"],
+    ]);
+  });
+
+  test("up reruns a repeatable migration only once edited", async () => {
+    await migrator.up();
+    assert.deepEqual(await migrator.plan(), []);
+
+    await fs.writeFile(
+      path.join(migrationsDirPath, "R__report.sql"),
+      REPORT_FUNCTION.replace("count(*)", "count(*) + 1")
+    );
+    assert.deepEqual(await getStates(), [
+      ["1.0.0U__report.sql", "applied"],
+      ["R__report.sql", "pending"],
+    ]);
+    assert.deepEqual(
+      (await migrator.plan()).map(({ filename }) => filename),
+      ["R__report.sql"]
+    );
+
+    await migrator.up();
+    const { rows } = await db.query("SELECT report_count()::int AS count;");
+    assert.deepEqual(rows, [{ count: 1 }]);
+  });
+
+  test("down ignores repeatable migrations applied last", async () => {
+    await migrator.up();
+
+    assert.deepEqual(
+      (await migrator.down({ dryRun: true })).map(({ filename }) => filename),
+      ["1.0.0D__report.sql"]
+    );
+    await migrator.down();
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+    await assert.rejects(migrator.down(), /No migrations applied/);
+  });
+
+  test("up upgrades migration tables requiring a unique name", async () => {
+    await db.exec(`
+      CREATE TABLE sqlmirror_migration (
+        sqlmirror_migration_id SERIAL PRIMARY KEY,
+        version VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        filename VARCHAR(255) UNIQUE NOT NULL,
+        checksum TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await migrator.up();
+
+    assert.deepEqual(await getStates(), [
+      ["1.0.0U__report.sql", "applied"],
+      ["R__report.sql", "applied"],
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+} from "./helpers.js";
+
+const MIGRATION_FILES = configMigration(
+  "1.0.0",
+  "billing",
+  `{
+    extensions: [sql.extension.uuid],
+    tables: [
+      {
+        name: "user",
+        schema: "auth",
+        types: [sql.enum("status", ["active", "banned"], { schema: "auth" })],
+        columns: [
+          "email TEXT NOT NULL",
+          sql.column.enum("status", "auth.status"),
+        ],
+      },
+      {
+        name: "invoice",
+        schema: "billing",
+        references: [
+          { columnName: "user_id", tableNameRef: "auth.user" },
+          { columnName: "account_id", tableNameRef: "account" },
+        ],
+      },
+      { name: "account", schema: "billing", columns: ["name TEXT NOT NULL"] },
+      { name: "note", columns: ["body TEXT NOT NULL"] },
+    ],
+  }`
+);
+
+describe("schemas", () => {
+  let migrationsDirPath;
+  let db;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir(MIGRATION_FILES);
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  async function getSchemaNames() {
+    const { rows } = await db.query(`
+      SELECT schema_name
+      FROM information_schema.schemata
+      WHERE schema_name NOT LIKE 'pg\\_%' AND schema_name <> 'information_schema'
+      ORDER BY schema_name;
+    `);
+    return rows.map((row) => row.schema_name);
+  }
+
+  async function getForeignKeys() {
+    const { rows } = await db.query(`
+      SELECT pg_get_constraintdef(oid) AS definition
+      FROM pg_constraint
+      WHERE contype = 'f'
+      ORDER BY conname;
+    `);
+    return rows.map((row) => row.definition);
+  }
+
+  test("tables are created in their schemas, dropped with them", async () => {
+    let migrator;
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+    await migrator.build();
+    await migrator.up();
+
+    assert.deepEqual(await getSchemaNames(), ["auth", "billing", "public"]);
+    assert.deepEqual(await getTableNames(db, "auth"), ["user"]);
+    assert.deepEqual(await getTableNames(db, "billing"), [
+      "account",
+      "invoice",
+    ]);
+    assert.deepEqual(await getTableNames(db), ["note", "sqlmirror_migration"]);
+    assert.deepEqual(await getForeignKeys(), [
+      "FOREIGN KEY (account_id) REFERENCES billing.account(account_id)",
+      'FOREIGN KEY (user_id) REFERENCES auth."user"(user_id)',
+    ]);
+
+    await migrator.down();
+    assert.deepEqual(await getSchemaNames(), ["public"]);
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+  });
+
+  test("tables without schema go to the default schema", async () => {
+    let migrator;
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath, {
+      schema: "app",
+    }));
+    await migrator.build();
+    await migrator.up();
+
+    assert.deepEqual(await getSchemaNames(), [
+      "app",
+      "auth",
+      "billing",
+      "public",
+    ]);
+    assert.deepEqual(await getTableNames(db, "app"), ["note"]);
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+  });
+
+  test("bookkeeping tables live in migrationSchema", async () => {
+    let migrator;
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath, {
+      migrationSchema: "meta",
+    }));
+    // Not the migration table of this migrator
+    await db.exec("CREATE TABLE sqlmirror_migration (id INT);");
+    await migrator.build();
+    await migrator.up();
+    await migrator.seed();
+
+    assert.deepEqual(await getTableNames(db, "meta"), [
+      "sqlmirror_migration",
+      "sqlmirror_seed",
+    ]);
+    const { rows } = await db.query(
+      "SELECT filename FROM meta.sqlmirror_migration;"
+    );
+    assert.deepEqual(rows, [{ filename: "1.0.0U__billing.sql" }]);
+    assert.deepEqual(
+      (await migrator.status()).map(({ version, state }) => [version, state]),
+      [["1.0.0", "applied"]]
+    );
+
+    await migrator.down();
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+    assert.deepEqual(await getTableNames(db, "meta"), [
+      "sqlmirror_migration",
+      "sqlmirror_seed",
+    ]);
+  });
+});
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  removeMigrationsDir,
+  writeFiles,
+} from "./helpers.js";
+
+const MIGRATION_FILES = configMigration(
+  "1.0.0",
+  "init",
+  `{
+    extensions: [sql.extension.uuid],
+    tables: [
+      {
+        name: "role",
+        columns: ["code TEXT NOT NULL UNIQUE", "label TEXT NOT NULL"],
+      },
+      {
+        name: "member",
+        columns: ["email TEXT NOT NULL UNIQUE"],
+        references: [{ columnName: "role_id", tableNameRef: "role" }],
+      },
+    ],
+  }`
+);
+
+const ROLE_SEED = `export default function seed({ env }) {
+  return [
+    { code: "admin", label: "Administrator" },
+    { code: env, label: "Environment" },
+  ];
+}
+`;
+
+// Sorted before role.js by name, it needs the roles seeded first
+const MEMBER_SEED = `INSERT INTO member (email, role_id)
+SELECT 'admin@example.com', role_id FROM role WHERE code = 'admin'
+ON CONFLICT DO NOTHING;
+`;
+
+describe("seed", () => {
+  let migrationsDirPath;
+  let seedsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir(MIGRATION_FILES);
+    seedsDirPath = path.join(path.dirname(migrationsDirPath), "seeds");
+    await fs.mkdir(path.join(seedsDirPath, "test"), { recursive: true });
+    await writeFiles(seedsDirPath, {
+      "member.sql": MEMBER_SEED,
+      "role.js": ROLE_SEED,
+      "test/member.sql": MEMBER_SEED.replaceAll("admin", "test"),
+    });
+
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+    await migrator.build();
+    await migrator.up();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  async function getMembers() {
+    const { rows } = await db.query(`
+      SELECT member.email, role.code
+      FROM member
+      JOIN role USING (role_id)
+      ORDER BY member.email;
+    `);
+    return rows;
+  }
+
+  test("seeds run in the order of their tables, then those of the environment", async () => {
+    assert.deepEqual(await migrator.seed({ env: "test" }), [
+      "role.js",
+      "member.sql",
+      "test/member.sql",
+    ]);
+    assert.deepEqual(await getMembers(), [
+      { email: "admin@example.com", code: "admin" },
+      { email: "test@example.com", code: "test" },
+    ]);
+  });
+
+  test("seeds of other environments are left out", async () => {
+    assert.deepEqual(await migrator.seed({ env: "production" }), [
+      "role.js",
+      "member.sql",
+    ]);
+  });
+
+  test("applied seeds are skipped until edited or forced", async () => {
+    await migrator.seed({ env: "test" });
+
+    assert.deepEqual(await migrator.seed({ env: "test" }), []);
+    assert.deepEqual(await migrator.seed({ env: "test", force: true }), [
+      "role.js",
+      "member.sql",
+      "test/member.sql",
+    ]);
+
+    await fs.appendFile(path.join(seedsDirPath, "member.sql"), "-- edited\n");
+    assert.deepEqual(await migrator.seed({ env: "test" }), ["member.sql"]);
+  });
+
+  test("JS seeds upsert their rows on the natural key", async () => {
+    await db.query("INSERT INTO role (code, label) VALUES ('admin', 'Admin');");
+    await migrator.seed({ env: "test" });
+
+    const { rows } = await db.query(
+      "SELECT code, label FROM role ORDER BY code;"
+    );
+    assert.deepEqual(rows, [
+      { code: "admin", label: "Administrator" },
+      { code: "test", label: "Environment" },
+    ]);
+  });
+
+  test("pull leaves the bookkeeping tables out", async () => {
+    await migrator.seed({ env: "test" });
+
+    assert.doesNotMatch(await migrator.pull(), /sqlmirror_/);
+  });
+});
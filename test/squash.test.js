@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+} from "./helpers.js";
+
+const MIGRATION_FILES = {
+  ...configMigration(
+    "1.0.0",
+    "author",
+    `{
+      extensions: [sql.extension.uuid],
+      tables: [{ name: "author", columns: ["name TEXT NOT NULL"] }],
+    }`
+  ),
+  ...configMigration(
+    "2.0.0",
+    "book",
+    `{ tables: [{ name: "book", columns: ["title TEXT NOT NULL"] }] }`
+  ),
+  ...configMigration(
+    "3.0.0",
+    "tag",
+    `{ tables: [{ name: "tag", columns: ["label TEXT NOT NULL"] }] }`
+  ),
+};
+
+describe("squash", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir(MIGRATION_FILES);
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+    await migrator.build();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  test("the squash migration keeps the place of the migrations it replaces", async () => {
+    await migrator.up();
+    await migrator.squash({ to: "2.0.0" });
+
+    const plan = await migrator.down({ dryRun: true });
+    assert.deepEqual(
+      plan.map(({ filename }) => filename),
+      ["3.0.0D__tag.sql"]
+    );
+
+    await migrator.down();
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "book",
+      "sqlmirror_migration",
+    ]);
+    const { rows } = await db.query(
+      "SELECT filename FROM sqlmirror_migration ORDER BY sqlmirror_migration_id;"
+    );
+    assert.deepEqual(rows, [{ filename: "2.0.0U__squash.sql" }]);
+
+    await migrator.down();
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+  });
+});
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+  sqlMigration,
+  writeFiles,
+} from "./helpers.js";
+
+const MIGRATION_FILES = {
+  ...sqlMigration(
+    "1.0.0",
+    "author",
+    "CREATE TABLE author (id INT);",
+    "DROP TABLE author;"
+  ),
+  ...sqlMigration(
+    "1.1.0",
+    "book",
+    "CREATE TABLE book (id INT);",
+    "DROP TABLE book;"
+  ),
+  ...sqlMigration(
+    "2.0.0",
+    "tag",
+    "CREATE TABLE tag (id INT);",
+    "DROP TABLE tag;"
+  ),
+  ...sqlMigration(
+    "2.1.0",
+    "shelf",
+    "CREATE TABLE shelf (id INT);",
+    "DROP TABLE shelf;"
+  ),
+};
+
+describe("targeted up and down", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir(MIGRATION_FILES);
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  async function getAppliedVersions() {
+    const { rows } = await db.query(
+      "SELECT version FROM sqlmirror_migration ORDER BY version;"
+    );
+    return rows.map((row) => row.version);
+  }
+
+  test("up with to applies up to a version and then the rest", async () => {
+    await migrator.up({ to: "1.1.0" });
+    assert.deepEqual(await getAppliedVersions(), ["1.0.0", "1.1.0"]);
+
+    await migrator.up({ to: "1.1.0" });
+    assert.deepEqual(await getAppliedVersions(), ["1.0.0", "1.1.0"]);
+
+    await migrator.up();
+    assert.deepEqual(await getAppliedVersions(), [
+      "1.0.0",
+      "1.1.0",
+      "2.0.0",
+      "2.1.0",
+    ]);
+  });
+
+  test("down with to reverts the migrations applied after a version", async () => {
+    await migrator.up();
+    await migrator.down({ to: "1.0.0" });
+
+    assert.deepEqual(await getAppliedVersions(), ["1.0.0"]);
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "sqlmirror_migration",
+    ]);
+  });
+
+  test("down with steps reverts the last applied migrations", async () => {
+    await migrator.up();
+    await migrator.down({ steps: 3 });
+
+    assert.deepEqual(await getAppliedVersions(), ["1.0.0"]);
+  });
+
+  test("each reverted migration commits on its own", async () => {
+    await migrator.up();
+    await writeFiles(migrationsDirPath, {
+      "2.0.0D__tag.sql": "DROP TABLE missing_tag;",
+    });
+
+    await assert.rejects(migrator.down({ all: true }), /missing_tag/);
+    assert.deepEqual(await getAppliedVersions(), ["1.0.0", "1.1.0", "2.0.0"]);
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "book",
+      "sqlmirror_migration",
+      "tag",
+    ]);
+  });
+
+  test("down refuses invalid and conflicting targets", async () => {
+    await migrator.up();
+
+    await assert.rejects(
+      migrator.down({ to: "1.0.0", steps: 2 }),
+      /Only one of to, steps and all can be given/
+    );
+    await assert.rejects(
+      migrator.down({ steps: 1, all: true }),
+      /Only one of to, steps and all can be given/
+    );
+    await assert.rejects(migrator.down({ steps: 0 }), /Invalid steps: 0/);
+    await assert.rejects(migrator.down({ steps: NaN }), /Invalid steps: NaN/);
+    await assert.rejects(migrator.down({ to: "one" }), /Invalid version: one/);
+    await assert.rejects(migrator.up({ to: "two" }), /Invalid version: two/);
+    assert.deepEqual(await getAppliedVersions(), [
+      "1.0.0",
+      "1.1.0",
+      "2.0.0",
+      "2.1.0",
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import { z } from "zod";
+import generateTypes from "../lib/generateTypes.js";
+import SQLMirrorMigrator from "../lib/SQLMirrorMigrator.js";
+import sql from "../lib/sql.js";
+import {
+  configMigration,
+  createMigrationsDir,
+  removeMigrationsDir,
+} from "./helpers.js";
+
+let migrationsDirPath;
+
+beforeEach(async () => {
+  migrationsDirPath = await createMigrationsDir(
+    configMigration(
+      "1.0.0",
+      "author",
+      `{
+        tables: [
+          { name: "author", columns: ["name TEXT NOT NULL"] },
+          { name: "user", schema: "auth", columns: ["email TEXT"] },
+        ],
+      }`
+    )
+  );
+});
+
+afterEach(async () => {
+  await removeMigrationsDir(migrationsDirPath);
+});
+
+test("types names tables after their schema or the default one", async () => {
+  const migrator = new SQLMirrorMigrator(null, migrationsDirPath, {
+    schema: "app",
+  });
+
+  const { types, schemas } = await migrator.types();
+
+  assert.match(
+    types,
+    /export interface AppAuthorRow \{\n  author_id: string;\n  name: string;\n\}/
+  );
+  assert.match(types, /export interface AuthUserRow \{/);
+  assert.match(schemas, /"app\.author": appAuthorRow,/);
+});
+
+test("types keeps tables without schema unqualified", async () => {
+  const migrator = new SQLMirrorMigrator(null, migrationsDirPath);
+
+  const { types } = await migrator.types();
+
+  assert.match(types, /export interface AuthorRow \{\n  author_id: string;/);
+});
+
+test("timestamps are Dates, coerced from the milliseconds of slonik", () => {
+  const { types, schemas } = generateTypes({
+    tables: [
+      {
+        name: "event",
+        columns: [
+          "starts_at TIMESTAMP WITH TIME ZONE NOT NULL",
+          "ends_at TIMESTAMP",
+          "duration INTERVAL NOT NULL",
+        ],
+        plugins: [sql.tablePlugin.created_at],
+      },
+    ],
+  });
+
+  assert.match(
+    types,
+    /export interface EventRow \{\n  event_id: string;\n  starts_at: Date;\n  ends_at: Date \| null;\n  duration: number;\n  created_at: Date \| null;\n\}/
+  );
+  assert.match(
+    schemas,
+    /starts_at: z\.coerce\.date\(\),\n    ends_at: z\.coerce\.date\(\)\.nullable\(\),\n    duration: z\.number\(\),\n    created_at: z\.coerce\.date\(\)\.nullable\(\),/
+  );
+  assert.deepEqual(
+    z.coerce.date().parse(Date.parse("2024-05-01T10:00:00Z")),
+    new Date("2024-05-01T10:00:00Z")
+  );
+});
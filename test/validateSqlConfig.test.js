@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import validateSqlConfig from "../lib/validateSqlConfig.js";
+
+test("validateSqlConfig reports blank columns", () => {
+  assert.throws(
+    () =>
+      validateSqlConfig(
+        { tables: [{ name: "author", columns: ["name TEXT", "   "] }] },
+        { source: "1.0.0__author.js" }
+      ),
+    (err) =>
+      err.message.includes("1.0.0__author.js") &&
+      err.message.includes("tables[0].columns[1]: Expected a column definition")
+  );
+});
+
+test("validateSqlConfig reports duplicate columns", () => {
+  assert.throws(
+    () =>
+      validateSqlConfig({
+        tables: [
+          { name: "author", columns: ["name TEXT", "name VARCHAR(10)"] },
+        ],
+      }),
+    /tables\[0\]\.columns\[1\]: Duplicate column "name"/
+  );
+});
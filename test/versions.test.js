@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+  sqlMigration,
+  writeFiles,
+} from "./helpers.js";
+
+describe("versions", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir();
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  async function getUpFilenames() {
+    return (await fs.readdir(migrationsDirPath))
+      .filter((filename) => /U__/.test(filename))
+      .sort();
+  }
+
+  test("migrations sharing a version are refused", async () => {
+    await writeFiles(migrationsDirPath, {
+      ...sqlMigration("1.0.0", "author", "CREATE TABLE author (id INT);"),
+      ...sqlMigration("2.0.0", "book", "CREATE TABLE book (id INT);"),
+      ...sqlMigration("2.0.0", "tag", "CREATE TABLE tag (id INT);"),
+    });
+
+    const collision =
+      /Migrations 2\.0\.0D__book\.sql and 2\.0\.0D__tag\.sql share version 2\.0\.0, rename one of them to a free version/;
+    await assert.rejects(migrator.up(), collision);
+    await assert.rejects(migrator.status(), collision);
+    await assert.rejects(migrator.createNextMigrationFiles("next"), collision);
+    assert.deepEqual(await getTableNames(db), []);
+  });
+
+  test("timestamp versions follow the creation time and later versions follow them", async () => {
+    await migrator.createNextMigrationFiles("first");
+    const before = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+    await migrator.createNextMigrationFiles("second", {
+      versioning: "timestamp",
+    });
+    const after = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+    await migrator.createNextMigrationFiles("third");
+    const [first, second, third] = await getUpFilenames();
+    assert.equal(first, "1.0.0U__first.sql");
+    const [, timestamp] = second.match(/^(\d{14})\.0\.0U__second\.sql$/);
+    assert.ok(timestamp >= before && timestamp <= after);
+    assert.equal(third, `${Number(timestamp) + 1}.0.0U__third.sql`);
+
+    await assert.rejects(
+      migrator.createNextMigrationFiles("fourth", { versioning: "date" }),
+      /Invalid versioning: date, expected one of: semver, timestamp/
+    );
+  });
+
+  test("pending migrations older than the last applied one need allowOutOfOrder", async () => {
+    await writeFiles(migrationsDirPath, {
+      ...sqlMigration("1.0.0", "author", "CREATE TABLE author (id INT);"),
+      ...sqlMigration("3.0.0", "tag", "CREATE TABLE tag (id INT);"),
+    });
+    await migrator.up();
+    await writeFiles(
+      migrationsDirPath,
+      sqlMigration("2.0.0", "book", "CREATE TABLE book (id INT);")
+    );
+
+    assert.deepEqual(
+      (await migrator.status()).map(({ version, state, outOfOrder }) => [
+        version,
+        state,
+        outOfOrder,
+      ]),
+      [
+        ["1.0.0", "applied", false],
+        ["2.0.0", "pending", true],
+        ["3.0.0", "applied", false],
+      ]
+    );
+    const outOfOrder =
+      /Pending migrations are older than the last applied version 3\.0\.0: 2\.0\.0U__book\.sql, pass allowOutOfOrder \(--allow-out-of-order\) to apply them/;
+    await assert.rejects(migrator.up(), outOfOrder);
+    await assert.rejects(migrator.plan(), outOfOrder);
+
+    await migrator.up({ allowOutOfOrder: true });
+    assert.deepEqual(await getTableNames(db), [
+      "author",
+      "book",
+      "sqlmirror_migration",
+      "tag",
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import {
+  configMigration,
+  createMigrationsDir,
+  createTestMigrator,
+  getTableNames,
+  removeMigrationsDir,
+  writeFiles,
+} from "./helpers.js";
+
+// Each entity depends on the one declared after it. The function qualifies
+// its table, as refreshing a materialized view restricts the search_path
+const MIGRATION_FILES = configMigration(
+  "1.0.0",
+  "books",
+  `{
+    extensions: [sql.extension.uuid],
+    materializedViews: [
+      {
+        name: "book_count",
+        query: "SELECT count(*)::int AS total FROM book_list",
+        dependsOn: ["book_list"],
+        indexes: [{ columns: ["total"], unique: true }],
+        refresh: true,
+      },
+    ],
+    views: [
+      {
+        name: "book_list",
+        query: "SELECT title FROM published_books()",
+        dependsOn: ["published_books"],
+      },
+    ],
+    functions: [
+      {
+        name: "published_books",
+        up: "CREATE OR REPLACE FUNCTION published_books() RETURNS SETOF book AS $$ SELECT * FROM public.book WHERE published $$ LANGUAGE sql STABLE;",
+        down: "DROP FUNCTION IF EXISTS published_books();",
+        dependsOn: ["book"],
+      },
+    ],
+    tables: [
+      {
+        name: "book",
+        columns: ["title TEXT NOT NULL", "published BOOLEAN NOT NULL"],
+      },
+    ],
+  }`
+);
+
+describe("views", () => {
+  let migrationsDirPath;
+  let db;
+  let migrator;
+
+  beforeEach(async () => {
+    migrationsDirPath = await createMigrationsDir(MIGRATION_FILES);
+    ({ db, migrator } = await createTestMigrator(migrationsDirPath));
+    await migrator.build();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    await removeMigrationsDir(migrationsDirPath);
+  });
+
+  async function readMigrationFile(filename) {
+    return fs.readFile(path.join(migrationsDirPath, filename), "utf8");
+  }
+
+  function assertInOrder(content, statements) {
+    const positions = statements.map((statement) => {
+      const position = content.indexOf(statement);
+      assert.notEqual(position, -1, `${statement} missing`);
+      return position;
+    });
+    assert.deepEqual(
+      positions,
+      [...positions].sort((a, b) => a - b)
+    );
+  }
+
+  test("entities are created after their dependencies and dropped before them", async () => {
+    assertInOrder(await readMigrationFile("1.0.0U__books.sql"), [
+      'CREATE TABLE IF NOT EXISTS "book"',
+      "CREATE OR REPLACE FUNCTION published_books()",
+      'CREATE OR REPLACE VIEW "book_list"',
+      'CREATE MATERIALIZED VIEW IF NOT EXISTS "book_count"',
+      "WITH NO DATA;",
+      'CREATE UNIQUE INDEX IF NOT EXISTS "book_count_total_unique_idx"',
+      'REFRESH MATERIALIZED VIEW "book_count";',
+    ]);
+    assertInOrder(await readMigrationFile("1.0.0D__books.sql"), [
+      'DROP MATERIALIZED VIEW IF EXISTS "book_count";',
+      'DROP VIEW IF EXISTS "book_list";',
+      "DROP FUNCTION IF EXISTS published_books();",
+      'DROP TABLE IF EXISTS "book";',
+    ]);
+
+    await migrator.up();
+    const { rows } = await db.query(
+      "SELECT ispopulated FROM pg_matviews WHERE matviewname = 'book_count';"
+    );
+    assert.deepEqual(rows, [{ ispopulated: true }]);
+    const { rows: indexRows } = await db.query(
+      "SELECT indexname FROM pg_indexes WHERE tablename = 'book_count';"
+    );
+    assert.deepEqual(indexRows, [{ indexname: "book_count_total_unique_idx" }]);
+
+    await migrator.down();
+    assert.deepEqual(await getTableNames(db), ["sqlmirror_migration"]);
+    const { rows: matviewRows } = await db.query("SELECT * FROM pg_matviews;");
+    assert.deepEqual(matviewRows, []);
+  });
+
+  test("a view declared again with another query is created again", async () => {
+    await writeFiles(
+      migrationsDirPath,
+      configMigration(
+        "2.0.0",
+        "count_all",
+        `{
+          materializedViews: [
+            {
+              name: "book_count",
+              query: "SELECT count(*)::int AS total FROM book",
+              dependsOn: ["book"],
+              indexes: [{ columns: ["total"], unique: true }],
+              refresh: true,
+            },
+          ],
+        }`
+      )
+    );
+    await migrator.build();
+    await migrator.up();
+    await db.query(
+      "INSERT INTO book (title, published) VALUES ('Draft', false);"
+    );
+    await db.query("REFRESH MATERIALIZED VIEW book_count;");
+
+    const { rows } = await db.query("SELECT total FROM book_count;");
+    assert.deepEqual(rows, [{ total: 1 }]);
+
+    await migrator.down();
+    const { rows: revertedRows } = await db.query(
+      "SELECT total FROM book_count;"
+    );
+    assert.deepEqual(revertedRows, [{ total: 0 }]);
+  });
+});